@@ -14,7 +14,25 @@ pool.on('error', (err) => {
   console.error('❌ Database connection error:', err);
 });
 
+// Run callback(client) inside a transaction on a single pooled connection
+const transaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Permission catalog and the role mappings seeded by scripts/migrate.js.
+// Mappings are stored in role_permissions and edited through /api/roles;
+// the defaults below only apply to permissions the database hasn't seen yet.
+const PERMISSIONS = {
+  'resource.publish': 'Create resources and upload resource files',
+  'resource.update.own': 'Edit resources you uploaded',
+  'resource.update.any': 'Edit any resource',
+  'resource.delete.own': 'Delete resources you uploaded',
+  'resource.delete.any': 'Delete any resource and its files',
+  'resource.moderate': 'Review pending resources and publish without review',
+  'resource.import': 'Bulk import resources from a ZIP and CSV manifest',
+  'resource.export': 'Export the resource catalog',
+  'review.moderate': 'Hide and restore resource reviews',
+  'subject.manage': 'Manage the subject catalog',
+  'bundle.manage': 'Create and edit resource bundles',
+  'user.manage': 'View users, change subscription status and unlock accounts',
+  'role.manage': 'Manage roles and permissions, assign roles and review role applications',
+  'api_key.manage.any': 'Create API keys without an Institution plan and manage any user\'s keys',
+  'payment.refund': 'Refund payments'
+};
+
+// Permissions taken out of the catalog. npm run migrate deletes these by name,
+// with their grants; anything else in the permissions table is left alone.
+const RETIRED_PERMISSIONS = [];
+
+// Holding any of these requires two-factor authentication, whatever the role
+// (override with TWO_FACTOR_REQUIRED_PERMISSIONS)
+const TWO_FACTOR_PERMISSIONS = ['role.manage', 'user.manage', 'api_key.manage.any', 'payment.refund'];
+
+// Built-in roles. System roles can't be deleted.
+const SYSTEM_ROLES = {
+  student: 'Students browsing and downloading resources',
+  teacher: 'Teachers browsing and downloading resources',
+  staff: 'Content staff publishing resources',
+  admin: 'Platform administrators'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [],
+  teacher: [],
+  staff: ['resource.publish', 'resource.update.any', 'resource.delete.any', 'review.moderate', 'bundle.manage'],
+  admin: Object.keys(PERMISSIONS)
+};
+
+module.exports = {
+  PERMISSIONS,
+  RETIRED_PERMISSIONS,
+  TWO_FACTOR_PERMISSIONS,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,77 @@
+// Subscription plans as advertised by GET /api/subscriptions/plans.
+// `entitlements` are the features services/entitlements.js enforces for
+// subscribers of the plan; they are internal and not sent to clients.
+const SUBSCRIPTION_PLANS = [
+  {
+    id: 'free',
+    name: 'Free',
+    price: 0,
+    currency: 'KSH',
+    interval: 'lifetime',
+    entitlements: [],
+    features: [
+      'Access to basic resources',
+      'Limited downloads (5 per month)',
+      'Community support',
+      'Basic search filters'
+    ],
+    limitations: [
+      'No premium resources',
+      'Limited download quota',
+      'No priority support'
+    ]
+  },
+  {
+    id: 'basic',
+    name: 'Basic',
+    price: 500,
+    currency: 'KSH',
+    interval: 'month',
+    entitlements: ['bookmarks'],
+    features: [
+      'Access to all basic resources',
+      'Unlimited downloads',
+      'Email support',
+      'Advanced search filters',
+      'Resource bookmarking'
+    ]
+  },
+  {
+    id: 'premium',
+    name: 'Premium',
+    price: 1200,
+    currency: 'KSH',
+    interval: 'month',
+    entitlements: ['bookmarks'],
+    features: [
+      'Access to ALL resources',
+      'Premium exclusive content',
+      'Priority support',
+      'Bulk download options',
+      'Custom resource requests',
+      'Early access to new materials'
+    ],
+    popular: true
+  },
+  {
+    id: 'institution',
+    name: 'Institution',
+    price: 5000,
+    currency: 'KSH',
+    interval: 'month',
+    entitlements: ['bookmarks'],
+    features: [
+      'Everything in Premium',
+      'Multi-user access (up to 50 users)',
+      'Institution branding',
+      'Dedicated account manager',
+      'Custom integrations',
+      'Training sessions',
+      'Analytics dashboard'
+    ]
+  }
+];
+
+module.exports = {
+  SUBSCRIPTION_PLANS
+};
@@ -1,9 +1,76 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeys');
+const { getRolePermissions } = require('../services/permissions');
+const { TWO_FACTOR_PERMISSIONS } = require('../config/permissions');
 
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Mark a route as callable with an API key holding `scope`. Must run before
+// authenticateToken; routes without it reject API keys.
+const acceptApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Mark a route as callable with a 2FA setup token (see completeLogin in
+// routes/auth.js). Must run before authenticateToken.
+const acceptTwoFactorSetup = (req, res, next) => {
+  req.acceptTwoFactorSetup = true;
+  next();
+};
+
+const authenticateWithApiKey = async (key, req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys are not accepted for this endpoint'
+    });
+  }
+
+  try {
+    const auth = await authenticateApiKey(key, req.ip);
+
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    if (!auth.apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${req.apiKeyScope} scope`
+      });
+    }
+
+    req.user = auth.user;
+    req.apiKey = {
+      id: auth.apiKey.id,
+      scopes: auth.apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Accepts a JWT access token (Authorization: Bearer <jwt>) or an API key
+// (X-API-Key: <key> or Authorization: Bearer <key>)
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
+
+  if (token && isApiKey(token)) {
+    return authenticateWithApiKey(token, req, res, next);
+  }
 
   if (!token) {
     return res.status(401).json({
@@ -14,10 +81,20 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA login challenges) are not access tokens,
+    // except setup tokens on the routes that accept them
+    const isSetupToken = decoded.purpose === '2fa_setup' && req.acceptTwoFactorSetup;
+    if (decoded.purpose && !isSetupToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
     
     // Get user from database
     const result = await db.query(
-      'SELECT id, email, full_name, role, subscription_status FROM public.users WHERE id = $1',
+      'SELECT id, email, full_name, role, subscription_status, token_version, email_verified_at, totp_enabled_at FROM public.users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -28,7 +105,43 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a logout-everywhere or password reset are revoked
+    if ((decoded.tokenVersion || 0) !== result.rows[0].token_version) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
+    // Access tokens are bound to a login session that can be revoked
+    if (decoded.sessionId) {
+      const sessionResult = await db.query(
+        'SELECT revoked_at, last_seen_at FROM user_sessions WHERE id = $1 AND user_id = $2',
+        [decoded.sessionId, decoded.userId]
+      );
+
+      const session = sessionResult.rows[0];
+
+      if (!session || session.revoked_at) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      // Refresh last-seen at most every few minutes
+      if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await db.query(
+          'UPDATE user_sessions SET last_seen_at = NOW(), ip_address = $1 WHERE id = $2',
+          [req.ip, decoded.sessionId]
+        );
+      }
+
+      req.sessionId = decoded.sessionId;
+    }
+
     req.user = result.rows[0];
+    req.twoFactorSetup = isSetupToken;
     next();
   } catch (error) {
     return res.status(403).json({
@@ -38,8 +151,42 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const requireRole = (roles) => {
-  return (req, res, next) => {
+// Authenticate when credentials are sent, otherwise continue anonymously
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers['authorization'] && !req.headers['x-api-key']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
+// Permissions whose holders must have two-factor authentication enabled
+// (comma separated)
+const TWO_FACTOR_REQUIRED_PERMISSIONS = process.env.TWO_FACTOR_REQUIRED_PERMISSIONS
+  ? process.env.TWO_FACTOR_REQUIRED_PERMISSIONS.split(',').map((permission) => permission.trim()).filter(Boolean)
+  : TWO_FACTOR_PERMISSIONS;
+
+const grantsTwoFactorPermission = (granted) => {
+  return TWO_FACTOR_REQUIRED_PERMISSIONS.some((permission) => granted.has(permission));
+};
+
+// True when the user's role grants a permission that mandates 2FA
+const isTwoFactorMandatory = async (user) => {
+  return grantsTwoFactorPermission(await getRolePermissions(user.role));
+};
+
+// True when the user must use 2FA but hasn't enrolled yet
+const isTwoFactorRequired = async (user) => {
+  return !user.totp_enabled_at && await isTwoFactorMandatory(user);
+};
+
+// Require at least one of the given permissions (a name or an array of names),
+// as mapped to the user's role in role_permissions. The granted set is left on
+// req.permissions for finer checks in the handler.
+const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -47,18 +194,60 @@ const requireRole = (roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    try {
+      const granted = await getRolePermissions(req.user.role);
+
+      if (!required.some((permission) => granted.has(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      // Also covers roles granted a sensitive permission after login
+      if (!req.user.totp_enabled_at && grantsTwoFactorPermission(granted)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled for your role',
+          two_factor_setup_required: true
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Insufficient permissions'
+        message: 'Failed to check permissions'
       });
     }
-
-    next();
   };
 };
 
+// Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user || !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  requireRole
+  optionalAuthenticate,
+  acceptApiKey,
+  acceptTwoFactorSetup,
+  requirePermission,
+  requireVerifiedEmail,
+  isTwoFactorMandatory,
+  isTwoFactorRequired
 };
\ No newline at end of file
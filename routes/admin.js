@@ -0,0 +1,240 @@
+const express = require('express');
+const os = require('os');
+const fs = require('fs');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  IMPORT_SUMMARY_COLUMNS,
+  createImport,
+  runImport,
+  removeImportFile
+} = require('../services/resourceImports');
+const {
+  RESOURCE_FILTER_VALIDATORS,
+  buildWhereClause,
+  buildResourceFilters
+} = require('../services/resourceFilters');
+const { streamResourceExport } = require('../services/resourceExport');
+
+const router = express.Router();
+
+const IMPORT_MAX_ARCHIVE_SIZE = parseInt(process.env.IMPORT_MAX_ARCHIVE_SIZE) || 500 * 1024 * 1024;
+
+// Import archives are written to disk; they're too big to hold in memory
+const importUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: IMPORT_MAX_ARCHIVE_SIZE, files: 2 }
+});
+
+// ============================================
+// BULK IMPORT
+// ============================================
+// Start an import from a ZIP (`archive`) and CSV manifest (`manifest`, or
+// manifest.csv inside the ZIP). Runs in the background; poll the import for
+// progress and per-row results. `dry_run=true` only validates.
+router.post(
+  '/resources/import',
+  authenticateToken,
+  requirePermission('resource.import'),
+  importUpload.fields([{ name: 'archive', maxCount: 1 }, { name: 'manifest', maxCount: 1 }]),
+  [
+    body('dry_run').optional().isBoolean()
+  ],
+  async (req, res) => {
+    const archive = req.files && req.files.archive && req.files.archive[0];
+    const manifest = req.files && req.files.manifest && req.files.manifest[0];
+    let started = false;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      if (!archive) {
+        return res.status(400).json({ success: false, message: 'A ZIP archive is required' });
+      }
+
+      const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+      const manifestText = manifest ? fs.readFileSync(manifest.path, 'utf8') : null;
+
+      const created = await createImport({ user: req.user, fileName: archive.originalname, dryRun });
+
+      runImport(created.id, { archivePath: archive.path, manifestText, user: req.user, dryRun })
+        .finally(() => removeImportFile(archive.path));
+      started = true;
+
+      res.status(202).json({
+        success: true,
+        message: dryRun ? 'Dry run started' : 'Import started',
+        data: created
+      });
+    } catch (error) {
+      console.error('Start import error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start import'
+      });
+    } finally {
+      // The import removes the archive itself once it's done
+      if (archive && !started) {
+        removeImportFile(archive.path);
+      }
+      if (manifest) {
+        removeImportFile(manifest.path);
+      }
+    }
+  }
+);
+
+// List imports, newest first
+router.get('/resources/imports', authenticateToken, requirePermission('resource.import'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT ${IMPORT_SUMMARY_COLUMNS}
+      FROM resource_imports ri
+      LEFT JOIN users u ON ri.created_by = u.id
+      ORDER BY ri.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await db.query('SELECT COUNT(*) FROM resource_imports');
+
+    res.json({
+      success: true,
+      data: {
+        imports: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch imports'
+    });
+  }
+});
+
+// Get an import's progress and per-row results, optionally only rows with one status
+router.get('/resources/imports/:id', authenticateToken, requirePermission('resource.import'), [
+  query('status').optional().isIn(['valid', 'invalid', 'created', 'failed'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query(`
+      SELECT ${IMPORT_SUMMARY_COLUMNS}, ri.results
+      FROM resource_imports ri
+      LEFT JOIN users u ON ri.created_by = u.id
+      WHERE ri.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    const resourceImport = result.rows[0];
+    const { status } = req.query;
+
+    res.json({
+      success: true,
+      data: {
+        ...resourceImport,
+        results: status
+          ? resourceImport.results.filter((row) => row.status === status)
+          : resourceImport.results
+      }
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch import'
+    });
+  }
+});
+
+// ============================================
+// CATALOG EXPORT
+// ============================================
+// Stream the catalog as CSV or NDJSON, oldest first, with files, download
+// counts and uploader. Takes the GET /api/resources filters; `status` picks
+// which resources (default active, `all` for every status).
+router.get('/resources/export', authenticateToken, requirePermission('resource.export'), [
+  query('format').optional().isIn(['csv', 'ndjson']),
+  query('status').optional().isIn(['active', 'pending', 'rejected', 'inactive', 'all']),
+  ...RESOURCE_FILTER_VALIDATORS
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', status = 'active' } = req.query;
+    const { filters } = await buildResourceFilters(req.query, { status: status === 'all' ? null : status });
+    const { whereClause, params } = buildWhereClause(filters);
+
+    const fileName = `resources-${new Date().toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'ndjson'}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamResourceExport(res, { whereClause, params, format });
+  } catch (error) {
+    console.error('Export resources error:', error);
+
+    // Once rows have been sent the only way to signal failure is to cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export resources'
+    });
+  }
+});
+
+module.exports = router;
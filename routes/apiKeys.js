@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  generateApiKey,
+  canManageApiKeys
+} = require('../services/apiKeys');
+const { hasPermission } = require('../services/permissions');
+
+const router = express.Router();
+
+// Columns safe to return; the hash never leaves the database
+const API_KEY_COLUMNS = `
+  id, owner_id, name, prefix, scopes, expires_at, last_used_at, last_used_ip,
+  revoked_at, rotated_from, created_at
+`;
+
+// Only Institution plan owners and holders of api_key.manage.any may manage API keys
+const requireApiKeyAccess = async (req, res, next) => {
+  try {
+    if (!(await canManageApiKeys(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys are available to admins and Institution plan subscribers'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('API key access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check API key access'
+    });
+  }
+};
+
+// Find a key the current user may manage (api_key.manage.any allows any key)
+const findManagedKey = async (req) => {
+  const result = await db.query(
+    'SELECT * FROM api_keys WHERE id = $1 AND (owner_id = $2 OR $3)',
+    [req.params.id, req.user.id, await hasPermission(req.user, 'api_key.manage.any')]
+  );
+
+  return result.rows[0];
+};
+
+// List API keys (own keys; api_key.manage.any holders can pass ?all=true)
+router.get('/', authenticateToken, requireApiKeyAccess, async (req, res) => {
+  try {
+    const listAll = req.query.all === 'true' && await hasPermission(req.user, 'api_key.manage.any');
+
+    const result = await db.query(`
+      SELECT ${API_KEY_COLUMNS}
+      FROM api_keys
+      ${listAll ? '' : 'WHERE owner_id = $1'}
+      ORDER BY created_at DESC
+    `, listAll ? [] : [req.user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        keys: result.rows,
+        available_scopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// Create API key (the full key is only returned in this response)
+router.post('/', authenticateToken, requireApiKeyAccess, [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(API_KEY_SCOPES),
+  body('expires_in_days').optional().isInt({ min: 1, max: 730 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expires_in_days } = req.body;
+    const { key, prefix, hash } = generateApiKey();
+
+    const result = await db.query(`
+      INSERT INTO api_keys (owner_id, name, prefix, key_hash, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [req.user.id, name, prefix, hash, [...new Set(scopes)], expires_in_days || null]);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: {
+        ...result.rows[0],
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// Rotate API key: issue a replacement with the same name, scopes and lifetime,
+// keeping the old key valid for an optional grace period
+router.post('/:id/rotate', authenticateToken, requireApiKeyAccess, [
+  body('grace_period_hours').optional().isInt({ min: 0, max: 168 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await findManagedKey(req);
+
+    if (!existing || existing.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const gracePeriodHours = parseInt(req.body.grace_period_hours) || 0;
+    const { key, prefix, hash } = generateApiKey();
+
+    const rotated = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO api_keys (owner_id, name, prefix, key_hash, scopes, expires_at, rotated_from)
+        VALUES (
+          $1, $2, $3, $4, $5,
+          CASE WHEN $6::timestamptz IS NULL THEN NULL ELSE NOW() + ($6::timestamptz - $7::timestamptz) END,
+          $8
+        )
+        RETURNING ${API_KEY_COLUMNS}
+      `, [
+        existing.owner_id,
+        existing.name,
+        prefix,
+        hash,
+        existing.scopes,
+        existing.expires_at,
+        existing.created_at,
+        existing.id
+      ]);
+
+      if (gracePeriodHours > 0) {
+        await client.query(`
+          UPDATE api_keys
+          SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => $1)), updated_at = NOW()
+          WHERE id = $2
+        `, [gracePeriodHours, existing.id]);
+      } else {
+        await client.query(
+          'UPDATE api_keys SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1',
+          [existing.id]
+        );
+      }
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Copy the new key now, it will not be shown again',
+      data: {
+        ...rotated,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/:id', authenticateToken, requireApiKeyAccess, async (req, res) => {
+  try {
+    const existing = await findManagedKey(req);
+
+    if (!existing || existing.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await db.query(
+      'UPDATE api_keys SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [existing.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
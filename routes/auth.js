@@ -1,24 +1,207 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
+const {
+  authenticateToken,
+  acceptTwoFactorSetup,
+  isTwoFactorMandatory,
+  isTwoFactorRequired
+} = require('../middleware/auth');
+const {
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  generateSetupToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  revokeOtherSessions
+} = require('../services/tokens');
+const { sendMail } = require('../services/mailer');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginProtection');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes
+} = require('../services/totp');
+const { requestOtp, verifyOtp, maskPhone } = require('../services/phoneOtp');
+const {
+  validatePassword,
+  passwordPolicy,
+  hashPassword,
+  isPasswordReused,
+  setPassword
+} = require('../services/passwordPolicy');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const EMAIL_VERIFICATION_MAX_PER_HOUR = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+
+// Device details recorded on the login session
+const sessionContext = (req) => ({
+  deviceName: req.body.device_name,
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Start a login session and issue its tokens
+const startSession = async (req, user) => {
+  // Update last login
+  await db.query(
+    'UPDATE users SET last_login = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  return issueTokens(user, sessionContext(req));
+};
+
+// Final step of every login method: record it and issue tokens. Accounts that
+// must use 2FA but haven't enrolled only get a setup token, which works on
+// /2fa/setup and /2fa/enable; enabling 2FA then completes the login.
+const completeLogin = async (req, res, user) => {
+  await recordLoginSuccess(user.email, user, req.ip);
+
+  if (await isTwoFactorRequired(user)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication must be set up to continue',
+      data: {
+        requires_2fa_setup: true,
+        setup_token: generateSetupToken(user)
+      }
+    });
+  }
+
+  const tokens = await startSession(req, user);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: serializeUser(user),
+      ...tokens
+    }
+  });
+};
+
+// Check a TOTP code against the user's secret, rejecting replays of a used code
+const verifyUserTotp = async (user, code) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(user.totp_secret), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await db.query(`
+    UPDATE users
+    SET totp_last_used_step = $1
+    WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+    RETURNING id
+  `, [step, user.id]);
+
+  return result.rows.length > 0;
+};
+
+// Mark a matching unused backup code as used
+const consumeBackupCode = async (userId, code) => {
+  const result = await db.query(
+    'SELECT id, code_hash FROM user_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  const normalized = String(code).trim().toLowerCase();
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      const used = await db.query(
+        'UPDATE user_backup_codes SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+        [row.id]
+      );
+      return used.rows.length > 0;
+    }
+  }
+
+  return false;
+};
+
+// Generate a fresh set of backup codes, invalidating any previous set
+const replaceBackupCodes = async (userId) => {
+  const codes = generateBackupCodes();
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+
+  await db.transaction(async (client) => {
+    await client.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+
+    for (const hash of hashes) {
+      await client.query(
+        'INSERT INTO user_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hash]
+      );
+    }
+  });
+
+  return codes;
+};
+
+// Create a verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(`
+    INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(hours => $3))
+  `, [user.id, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]);
+
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Elimufiti email address',
+    text: `Hi ${user.full_name},\n\n` +
+      'Please confirm your email address by opening the link below. ' +
+      `It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n` +
+      `${verifyUrl}`
   });
 };
 
+// Public user fields returned by auth endpoints
+const serializeUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  full_name: user.full_name,
+  role: user.role,
+  school_name: user.school_name,
+  phone_number: user.phone_verified_at ? user.phone_number : null,
+  subscription_status: user.subscription_status,
+  email_verified_at: user.email_verified_at,
+  created_at: user.created_at
+});
+
 // Register new user
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
   body('full_name').trim().isLength({ min: 2 }),
-  body('role').isIn(['student', 'staff', 'admin'])
+  body('password').custom(passwordPolicy),
+  // Elevated roles are granted through /api/role-applications
+  body('role').isIn(['student', 'teacher'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -46,34 +229,31 @@ router.post('/register', [
     }
 
     // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const result = await db.query(
       `INSERT INTO users (email, password_hash, full_name, role, school_name, subscription_status)
        VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, email, full_name, role, school_name, subscription_status, created_at`,
+       RETURNING id, email, full_name, role, school_name, subscription_status, created_at, token_version, email_verified_at`,
       [email, hashedPassword, full_name, role, school_name || null, 'inactive']
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const tokens = await issueTokens(user, sessionContext(req));
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          full_name: user.full_name,
-          role: user.role,
-          school_name: user.school_name,
-          subscription_status: user.subscription_status,
-          created_at: user.created_at
-        },
-        token
+        user: serializeUser(user),
+        ...tokens
       }
     });
   } catch (error) {
@@ -88,7 +268,8 @@ router.post('/register', [
 // Login user
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
-  body('password').exists()
+  body('password').exists(),
+  body('device_name').optional().trim().isLength({ max: 255 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -108,53 +289,897 @@ router.post('/login', [
       [email]
     );
 
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+
+    // Brute-force protection: IP lockout, account lockout, progressive delay
+    const loginCheck = await checkLoginAllowed(user, req.ip, email);
+    if (!loginCheck.allowed) {
+      res.set('Retry-After', String(loginCheck.retryAfter));
+      return res.status(loginCheck.status).json({
+        success: false,
+        message: loginCheck.message,
+        retry_after: loginCheck.retryAfter
+      });
+    }
+
+    if (!user) {
+      await recordLoginFailure(email, null, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    const user = result.rows[0];
-
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordLoginFailure(email, user, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
+    // Second step required when two-factor authentication is enabled
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requires_2fa: true,
+          challenge_token: generateChallengeToken(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Request an SMS login code for a linked phone number
+router.post('/phone/request-otp', [
+  body('phone_number').matches(/^254[0-9]{9}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone_number } = req.body;
+
+    const result = await db.query(
+      'SELECT id FROM users WHERE phone_number = $1 AND phone_verified_at IS NOT NULL',
+      [phone_number]
+    );
+
+    // Same response, throttling included, whether or not the number is linked
+    // to an account
+    const otp = await requestOtp({
+      phoneNumber: phone_number,
+      purpose: 'login',
+      userId: result.rows.length > 0 ? result.rows[0].id : null
+    });
+
+    if (!otp.sent) {
+      res.set('Retry-After', String(otp.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: otp.message,
+        retry_after: otp.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `If this number is linked to an account, a code has been sent to ${maskPhone(phone_number)}`
+    });
+  } catch (error) {
+    console.error('Phone OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login code'
+    });
+  }
+});
+
+// Log in with phone number + SMS code
+router.post('/phone/verify-otp', [
+  body('phone_number').matches(/^254[0-9]{9}$/),
+  body('code').matches(/^[0-9]{6}$/),
+  body('device_name').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone_number, code } = req.body;
+
+    const result = await db.query(
+      'SELECT * FROM users WHERE phone_number = $1 AND phone_verified_at IS NOT NULL',
+      [phone_number]
+    );
+
+    const user = result.rows[0];
+
+    const loginCheck = await checkLoginAllowed(user, req.ip);
+    if (!loginCheck.allowed) {
+      res.set('Retry-After', String(loginCheck.retryAfter));
+      return res.status(loginCheck.status).json({
+        success: false,
+        message: loginCheck.message,
+        retry_after: loginCheck.retryAfter
+      });
+    }
+
+    const otp = user
+      ? await verifyOtp({ phoneNumber: phone_number, purpose: 'login', code, userId: user.id })
+      : null;
+
+    if (!otp) {
+      await recordLoginFailure(user ? user.email : null, user, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requires_2fa: true,
+          challenge_token: generateChallengeToken(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Phone OTP login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Complete a two-step login with a TOTP or backup code
+router.post('/2fa/verify', [
+  body('challenge_token').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('backup_code').optional().isString(),
+  body('device_name').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { challenge_token, code, backup_code } = req.body;
+
+    if (!code && !backup_code) {
+      return res.status(400).json({
+        success: false,
+        message: 'A two-factor code or backup code is required'
+      });
+    }
+
+    const challenge = verifyChallengeToken(challenge_token);
+    const result = challenge
+      ? await db.query('SELECT * FROM users WHERE id = $1', [challenge.userId])
+      : { rows: [] };
+
+    // Challenges issued before a password change or logout-everywhere are revoked
+    if (
+      result.rows.length === 0 ||
+      !result.rows[0].totp_enabled_at ||
+      result.rows[0].token_version !== challenge.tokenVersion
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    const user = result.rows[0];
+
+    const loginCheck = await checkLoginAllowed(user, req.ip);
+    if (!loginCheck.allowed) {
+      res.set('Retry-After', String(loginCheck.retryAfter));
+      return res.status(loginCheck.status).json({
+        success: false,
+        message: loginCheck.message,
+        retry_after: loginCheck.retryAfter
+      });
+    }
+
+    const isValidCode = code
+      ? await verifyUserTotp(user, code)
+      : await consumeBackupCode(user.id, backup_code);
+
+    if (!isValidCode) {
+      await recordLoginFailure(user.email, user, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Start 2FA enrollment: generate a secret and provisioning URI for the QR code
+router.post('/2fa/setup', acceptTwoFactorSetup, authenticateToken, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await db.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL, updated_at = NOW() WHERE id = $2',
+      [encryptSecret(secret), req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri({
+          secret,
+          accountName: req.user.email,
+          issuer: process.env.TOTP_ISSUER || 'Elimufiti'
+        })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with a first code; returns one-time backup codes
+router.post('/2fa/enable', acceptTwoFactorSetup, authenticateToken, [
+  body('code').isString().notEmpty(),
+  body('device_name').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!(await verifyUserTotp(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
     await db.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      'UPDATE users SET totp_enabled_at = NOW(), updated_at = NOW() WHERE id = $1',
       [user.id]
     );
 
-    const token = generateToken(user.id);
+    const backupCodes = await replaceBackupCodes(user.id);
+
+    // Enrolling with a setup token finishes the login it was issued for
+    const tokens = req.twoFactorSetup ? await startSession(req, user) : null;
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          full_name: user.full_name,
-          role: user.role,
-          school_name: user.school_name,
-          subscription_status: user.subscription_status,
-          created_at: user.created_at
-        },
-        token
+        backup_codes: backupCodes,
+        ...(tokens && { user: serializeUser(user), ...tokens })
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA enable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Disable 2FA (requires password and a current code)
+router.post('/2fa/disable', authenticateToken, [
+  body('password').exists(),
+  body('code').optional().isString(),
+  body('backup_code').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (await isTwoFactorMandatory(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { password, code, backup_code } = req.body;
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    const isValidCode = code
+      ? await verifyUserTotp(user, code)
+      : backup_code ? await consumeBackupCode(user.id, backup_code) : false;
+
+    if (!isValidPassword || !isValidCode) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await db.query(`
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [user.id]);
+
+    await db.query('DELETE FROM user_backup_codes WHERE user_id = $1', [user.id]);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Regenerate backup codes (requires a current code)
+router.post('/2fa/backup-codes', authenticateToken, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyUserTotp(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const backupCodes = await replaceBackupCodes(user.id);
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: {
+        backup_codes: backupCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refresh_token, sessionContext(req));
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: serializeUser(rotated.user),
+        ...rotated.tokens
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+});
+
+// Logout current session (revokes the refresh token family)
+router.post('/logout', [
+  body('refresh_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await revokeRefreshToken(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Logout everywhere (revokes all refresh tokens and issued access tokens)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Verify email address using an emailed token
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokenResult = await db.query(`
+      UPDATE email_verification_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [hashToken(req.body.token)]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, email, email_verified_at
+    `, [tokenResult.rows[0].user_id]);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed'
+    });
+  }
+});
+
+// Resend verification email (throttled)
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const recentResult = await db.query(`
+      SELECT
+        COUNT(*) as sent_last_hour,
+        EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) as seconds_since_last
+      FROM email_verification_tokens
+      WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'
+    `, [req.user.id]);
+
+    const sentLastHour = parseInt(recentResult.rows[0].sent_last_hour);
+    const secondsSinceLast = recentResult.rows[0].seconds_since_last;
+
+    if (secondsSinceLast !== null && parseFloat(secondsSinceLast) < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another verification email',
+        retry_after: Math.ceil(EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - parseFloat(secondsSinceLast))
+      });
+    }
+
+    if (sentLastHour >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification emails requested. Please try again later'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const result = await db.query(
+      'SELECT id, email, full_name FROM users WHERE email = $1',
+      [email]
+    );
+
+    // Same response whether or not the account exists
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = crypto.randomBytes(32).toString('base64url');
+
+      // Only the most recent link stays valid
+      await db.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+
+      await db.query(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+        VALUES ($1, $2, NOW() + make_interval(mins => $3))
+      `, [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]);
+
+      const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Elimufiti password',
+          text: `Hi ${user.full_name},\n\n` +
+            `Use the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n` +
+            `${resetUrl}\n\n` +
+            'If you did not request a password reset, you can ignore this email.'
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// Reset password using an emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const tokenResult = await db.query(`
+      SELECT prt.id, u.id as user_id, u.email, u.full_name
+      FROM password_reset_tokens prt
+      JOIN users u ON prt.user_id = u.id
+      WHERE prt.token_hash = $1 AND prt.used_at IS NULL AND prt.expires_at > NOW()
+    `, [hashToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const resetToken = tokenResult.rows[0];
+
+    // Policy failures leave the token usable for another attempt
+    const problems = validatePassword(password, resetToken);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: problems
+      });
+    }
+
+    if (await isPasswordReused(resetToken.user_id, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a password you have not used recently'
+      });
+    }
+
+    const hashedPassword = await hashPassword(password);
+
+    // Consume the token atomically so it can only be used once
+    const reset = await db.transaction(async (client) => {
+      const consumed = await client.query(`
+        UPDATE password_reset_tokens
+        SET used_at = NOW()
+        WHERE id = $1 AND used_at IS NULL
+        RETURNING id
+      `, [resetToken.id]);
+
+      if (consumed.rows.length === 0) {
+        return false;
+      }
+
+      await setPassword(client, resetToken.user_id, hashedPassword);
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Sign out every existing session
+    await revokeAllUserTokens(resetToken.user_id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed'
+    });
+  }
+});
+
+// Change password (signs out every other session)
+router.put('/password', authenticateToken, [
+  body('current_password').isString().notEmpty(),
+  body('new_password').custom(passwordPolicy)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const userResult = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isValidPassword = await bcrypt.compare(current_password, userResult.rows[0].password_hash);
+
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await isPasswordReused(req.user.id, new_password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a password you have not used recently'
+      });
+    }
+
+    const hashedPassword = await hashPassword(new_password);
+
+    // Bumping the token version revokes every access token issued so far,
+    // including session-less ones; this session gets a replacement below
+    const tokenVersion = await db.transaction(async (client) => {
+      await setPassword(client, req.user.id, hashedPassword);
+
+      const versionResult = await client.query(
+        'UPDATE users SET token_version = token_version + 1 WHERE id = $1 RETURNING token_version',
+        [req.user.id]
+      );
+
+      return versionResult.rows[0].token_version;
+    });
+
+    const sessionsRevoked = await revokeOtherSessions(req.user.id, req.sessionId);
+
+    try {
+      await sendMail({
+        to: req.user.email,
+        subject: 'Your Elimufiti password was changed',
+        text: `Hi ${req.user.full_name},\n\n` +
+          'The password for your Elimufiti account was just changed and your other devices were signed out.\n\n' +
+          'If this wasn\'t you, reset your password immediately using "Forgot password" on the login page.'
+      });
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        sessions_revoked: sessionsRevoked,
+        token: generateAccessToken({ id: req.user.id, token_version: tokenVersion }, req.sessionId)
+      }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
     });
   }
 });
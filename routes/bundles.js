@@ -0,0 +1,278 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, optionalAuthenticate, acceptApiKey, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const {
+  BUNDLE_ITEM_ROLES,
+  validateBundleItems,
+  setBundleItems,
+  getBundleItems
+} = require('../services/bundles');
+
+const router = express.Router();
+
+// Bundles with how many published resources they hold
+const BUNDLE_SELECT = `
+  SELECT
+    b.*,
+    u.full_name as created_by_name,
+    (SELECT COUNT(*) FROM resource_bundle_items bi
+     JOIN resources r ON bi.resource_id = r.id AND r.status = 'active'
+     WHERE bi.bundle_id = b.id) as item_count
+  FROM resource_bundles b
+  LEFT JOIN users u ON b.created_by = u.id
+`;
+
+const fetchBundle = async (id) => {
+  const result = await db.query(`${BUNDLE_SELECT} WHERE b.id = $1`, [id]);
+
+  return result.rows[0];
+};
+
+// Bundle with its items. `locked` tells the viewer that downloading anything
+// in a premium bundle needs an active subscription.
+const formatBundle = async (bundle, user, { includeUnpublished = false } = {}) => ({
+  ...bundle,
+  item_count: parseInt(bundle.item_count),
+  locked: bundle.is_premium && (!user || user.subscription_status !== 'active'),
+  items: await getBundleItems(bundle.id, { includeUnpublished })
+});
+
+// List bundles, optionally only those containing a resource
+router.get('/', [
+  query('resource_id').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { resource_id, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const condition = `
+      WHERE ($1::uuid IS NULL OR EXISTS (
+        SELECT 1 FROM resource_bundle_items bi WHERE bi.bundle_id = b.id AND bi.resource_id = $1
+      ))
+    `;
+
+    const result = await db.query(`
+      ${BUNDLE_SELECT}
+      ${condition}
+      ORDER BY b.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [resource_id || null, limit, offset]);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM resource_bundles b ${condition}`,
+      [resource_id || null]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        bundles: result.rows.map((bundle) => ({ ...bundle, item_count: parseInt(bundle.item_count) })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundles'
+    });
+  }
+});
+
+// Get a bundle with its items; bundle managers also see unpublished items
+router.get('/:id', acceptApiKey('resources:read'), optionalAuthenticate, async (req, res) => {
+  try {
+    const bundle = await fetchBundle(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    const isManager = req.user ? await hasPermission(req.user, 'bundle.manage') : false;
+
+    res.json({
+      success: true,
+      data: await formatBundle(bundle, req.user, { includeUnpublished: isManager })
+    });
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundle'
+    });
+  }
+});
+
+// Staff: Create a bundle. Items are kept in the order sent.
+router.post('/', authenticateToken, requirePermission('bundle.manage'), [
+  body('title').trim().isLength({ min: 5, max: 500 }),
+  body('description').optional().trim().isLength({ max: 2000 }),
+  body('is_premium').optional().isBoolean(),
+  body('items').optional().isArray({ max: 50 }),
+  body('items.*.resource_id').isUUID(),
+  body('items.*.role').isIn(BUNDLE_ITEM_ROLES),
+  body('items.*.for_resource_id').optional({ nullable: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, is_premium = false, items = [] } = req.body;
+
+    const problems = await validateBundleItems(items);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('; ')
+      });
+    }
+
+    const bundleId = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO resource_bundles (title, description, is_premium, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [title, description || null, is_premium, req.user.id]);
+
+      await setBundleItems(client, result.rows[0].id, items);
+
+      return result.rows[0].id;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created',
+      data: await formatBundle(await fetchBundle(bundleId), req.user, { includeUnpublished: true })
+    });
+  } catch (error) {
+    console.error('Create bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create bundle'
+    });
+  }
+});
+
+// Staff: Update a bundle. Sending `items` replaces the whole item list.
+router.put('/:id', authenticateToken, requirePermission('bundle.manage'), [
+  body('title').optional().trim().isLength({ min: 5, max: 500 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+  body('is_premium').optional().isBoolean(),
+  body('items').optional().isArray({ max: 50 }),
+  body('items.*.resource_id').isUUID(),
+  body('items.*.role').isIn(BUNDLE_ITEM_ROLES),
+  body('items.*.for_resource_id').optional({ nullable: true }).isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await fetchBundle(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    const { title, description, is_premium, items } = req.body;
+
+    if (items !== undefined) {
+      const problems = await validateBundleItems(items);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: problems.join('; ')
+        });
+      }
+    }
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        UPDATE resource_bundles
+        SET title = $1, description = $2, is_premium = $3, updated_at = NOW()
+        WHERE id = $4
+      `, [
+        title !== undefined ? title : existing.title,
+        description !== undefined ? description : existing.description,
+        is_premium !== undefined ? is_premium : existing.is_premium,
+        existing.id
+      ]);
+
+      if (items !== undefined) {
+        await setBundleItems(client, existing.id, items);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Bundle updated',
+      data: await formatBundle(await fetchBundle(existing.id), req.user, { includeUnpublished: true })
+    });
+  } catch (error) {
+    console.error('Update bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update bundle'
+    });
+  }
+});
+
+// Staff: Delete a bundle. Its resources are kept.
+router.delete('/:id', authenticateToken, requirePermission('bundle.manage'), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM resource_bundles WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bundle deleted'
+    });
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete bundle'
+    });
+  }
+});
+
+module.exports = router;
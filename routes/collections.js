@@ -0,0 +1,782 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireEntitlement } = require('../services/entitlements');
+
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Saving resources is a paid feature; reading and removing stay available
+// after a subscription lapses
+const requireBookmarks = requireEntitlement(
+  'bookmarks',
+  'Bookmarks and collections are available on the Basic plan and above'
+);
+
+// Resource fields shown in bookmark and collection lists
+const RESOURCE_SUMMARY = `
+  r.id, r.title, r.subject, r.grade, r.year, r.term, r.resource_type,
+  r.is_premium, r.download_count, r.rating_average, r.rating_count
+`;
+
+const isActiveResource = async (resourceId) => {
+  const result = await db.query(
+    "SELECT 1 FROM resources WHERE id = $1 AND status = 'active'",
+    [resourceId]
+  );
+
+  return result.rows.length > 0;
+};
+
+const shareUrl = (token) => (token ? `${FRONTEND_URL}/collections/shared/${token}` : null);
+
+// Collection with its share link, item count and owner-facing fields
+const formatCollection = (collection) => ({
+  ...collection,
+  item_count: collection.item_count !== undefined ? parseInt(collection.item_count) : undefined,
+  share_url: shareUrl(collection.share_token)
+});
+
+const fetchCollectionItems = async (collectionId) => {
+  const result = await db.query(`
+    SELECT ci.position, ci.note, ci.added_at, ${RESOURCE_SUMMARY}
+    FROM collection_items ci
+    JOIN resources r ON ci.resource_id = r.id AND r.status = 'active'
+    WHERE ci.collection_id = $1
+    ORDER BY ci.position, ci.added_at
+  `, [collectionId]);
+
+  return result.rows;
+};
+
+// Find one of the current user's collections. Sends 404 and returns null when
+// it doesn't exist or belongs to someone else.
+const findOwnCollection = async (req, res) => {
+  const result = await db.query(
+    'SELECT * FROM collections WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// Number rows within one owner (user or collection) in the order of `orderedIds`
+const applyOrder = async (client, table, idColumn, scopeColumn, scopeId, orderedIds) => {
+  for (const [position, id] of orderedIds.entries()) {
+    await client.query(
+      `UPDATE ${table} SET position = $1 WHERE ${scopeColumn} = $2 AND ${idColumn} = $3`,
+      [position, scopeId, id]
+    );
+  }
+};
+
+const isSameSet = (a, b) => {
+  return a.length === b.length && new Set(a).size === a.length && a.every((id) => b.includes(id));
+};
+
+// ============================================
+// BOOKMARKS
+// ============================================
+
+// List bookmarked resources, most recent first
+router.get('/bookmarks', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT b.created_at as bookmarked_at, ${RESOURCE_SUMMARY}
+      FROM bookmarks b
+      JOIN resources r ON b.resource_id = r.id AND r.status = 'active'
+      WHERE b.user_id = $1
+      ORDER BY b.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const countResult = await db.query(`
+      SELECT COUNT(*) FROM bookmarks b
+      JOIN resources r ON b.resource_id = r.id AND r.status = 'active'
+      WHERE b.user_id = $1
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bookmarks'
+    });
+  }
+});
+
+// Bookmark a resource
+router.put('/bookmarks/:resourceId', authenticateToken, requireBookmarks, [
+  param('resourceId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { resourceId } = req.params;
+
+    if (!(await isActiveResource(resourceId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO bookmarks (user_id, resource_id)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id, resource_id) DO NOTHING
+      RETURNING id
+    `, [req.user.id, resourceId]);
+
+    const created = result.rows.length > 0;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Resource bookmarked' : 'Resource already bookmarked'
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bookmark resource'
+    });
+  }
+});
+
+// Remove a bookmark
+router.delete('/bookmarks/:resourceId', authenticateToken, [
+  param('resourceId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM bookmarks WHERE user_id = $1 AND resource_id = $2 RETURNING id',
+      [req.user.id, req.params.resourceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed'
+    });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove bookmark'
+    });
+  }
+});
+
+// ============================================
+// COLLECTIONS
+// ============================================
+
+// List the current user's collections in their chosen order
+router.get('/collections', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        c.*,
+        (SELECT COUNT(*) FROM collection_items ci
+         JOIN resources r ON ci.resource_id = r.id AND r.status = 'active'
+         WHERE ci.collection_id = c.id) as item_count
+      FROM collections c
+      WHERE c.user_id = $1
+      ORDER BY c.position, c.created_at
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatCollection)
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collections'
+    });
+  }
+});
+
+// Create a collection, placed after the existing ones
+router.post('/collections', authenticateToken, requireBookmarks, [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+
+    const existing = await db.query(
+      'SELECT 1 FROM collections WHERE user_id = $1 AND name = $2',
+      [req.user.id, name]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO collections (user_id, name, description, position)
+      VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position) + 1, 0) FROM collections WHERE user_id = $1))
+      RETURNING *
+    `, [req.user.id, name, description || null]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      data: formatCollection(result.rows[0])
+    });
+  } catch (error) {
+    // Unique violation: a collection with this name was created at the same time
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create collection'
+    });
+  }
+});
+
+// Reorder collections; collection_ids must list all of the user's collections
+router.put('/collections/order', authenticateToken, [
+  body('collection_ids').isArray({ min: 1 }),
+  body('collection_ids.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { collection_ids: collectionIds } = req.body;
+
+    const existing = await db.query('SELECT id FROM collections WHERE user_id = $1', [req.user.id]);
+
+    if (!isSameSet(collectionIds, existing.rows.map((row) => row.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'collection_ids must list each of your collections exactly once'
+      });
+    }
+
+    await db.transaction(async (client) => {
+      await applyOrder(client, 'collections', 'id', 'user_id', req.user.id, collectionIds);
+    });
+
+    res.json({
+      success: true,
+      message: 'Collections reordered'
+    });
+  } catch (error) {
+    console.error('Reorder collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder collections'
+    });
+  }
+});
+
+// Public: View a shared collection
+router.get('/collections/shared/:token', async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT c.id, c.name, c.description, c.created_at, c.updated_at, u.full_name as owner_name
+      FROM collections c
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE c.share_token = $1
+    `, [req.params.token]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared collection not found'
+      });
+    }
+
+    const collection = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        ...collection,
+        items: await fetchCollectionItems(collection.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get shared collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+// Get one of the user's collections with its resources in order
+router.get('/collections/:id', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCollection(collection),
+        items: await fetchCollectionItems(collection.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+// Rename a collection or change its description
+router.put('/collections/:id', authenticateToken, [
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const name = req.body.name !== undefined ? req.body.name : collection.name;
+    const description = req.body.description !== undefined ? req.body.description || null : collection.description;
+
+    const duplicate = await db.query(
+      'SELECT 1 FROM collections WHERE user_id = $1 AND name = $2 AND id <> $3',
+      [req.user.id, name, collection.id]
+    );
+
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE collections SET name = $1, description = $2, updated_at = NOW()
+      WHERE id = $3
+      RETURNING *
+    `, [name, description, collection.id]);
+
+    res.json({
+      success: true,
+      message: 'Collection updated',
+      data: formatCollection(result.rows[0])
+    });
+  } catch (error) {
+    // Unique violation: another collection took this name at the same time
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update collection'
+    });
+  }
+});
+
+// Delete a collection (the resources themselves are untouched)
+router.delete('/collections/:id', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    await db.query('DELETE FROM collections WHERE id = $1', [collection.id]);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete collection'
+    });
+  }
+});
+
+// Add a resource to the end of a collection
+router.post('/collections/:id/items', authenticateToken, requireBookmarks, [
+  param('id').isUUID(),
+  body('resource_id').isUUID(),
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const { resource_id: resourceId, note } = req.body;
+
+    if (!(await isActiveResource(resourceId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO collection_items (collection_id, resource_id, note, position)
+      VALUES ($1, $2, $3, (SELECT COALESCE(MAX(position) + 1, 0) FROM collection_items WHERE collection_id = $1))
+      ON CONFLICT (collection_id, resource_id) DO NOTHING
+      RETURNING id
+    `, [collection.id, resourceId, note || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Resource is already in this collection'
+      });
+    }
+
+    await db.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource added to collection',
+      data: {
+        ...formatCollection(collection),
+        items: await fetchCollectionItems(collection.id)
+      }
+    });
+  } catch (error) {
+    console.error('Add collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add resource to collection'
+    });
+  }
+});
+
+// Reorder a collection; resource_ids must list all of its resources
+router.put('/collections/:id/items/order', authenticateToken, [
+  param('id').isUUID(),
+  body('resource_ids').isArray({ min: 1 }),
+  body('resource_ids.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const { resource_ids: resourceIds } = req.body;
+
+    // Only the items the owner can see (active resources) are reordered; hidden
+    // ones keep their relative order after them
+    const existing = await db.query(`
+      SELECT ci.resource_id, r.status = 'active' as visible
+      FROM collection_items ci
+      JOIN resources r ON ci.resource_id = r.id
+      WHERE ci.collection_id = $1
+      ORDER BY ci.position, ci.added_at
+    `, [collection.id]);
+
+    const visibleIds = existing.rows.filter((row) => row.visible).map((row) => row.resource_id);
+    const hiddenIds = existing.rows.filter((row) => !row.visible).map((row) => row.resource_id);
+
+    if (!isSameSet(resourceIds, visibleIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'resource_ids must list each resource in the collection exactly once'
+      });
+    }
+
+    await db.transaction(async (client) => {
+      await applyOrder(client, 'collection_items', 'resource_id', 'collection_id', collection.id, [...resourceIds, ...hiddenIds]);
+      await client.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.id]);
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection reordered',
+      data: {
+        ...formatCollection(collection),
+        items: await fetchCollectionItems(collection.id)
+      }
+    });
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder collection'
+    });
+  }
+});
+
+// Remove a resource from a collection
+router.delete('/collections/:id/items/:resourceId', authenticateToken, [
+  param('id').isUUID(),
+  param('resourceId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const result = await db.query(
+      'DELETE FROM collection_items WHERE collection_id = $1 AND resource_id = $2 RETURNING id',
+      [collection.id, req.params.resourceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource is not in this collection'
+      });
+    }
+
+    await db.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.id]);
+
+    res.json({
+      success: true,
+      message: 'Resource removed from collection'
+    });
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove resource from collection'
+    });
+  }
+});
+
+// Turn on link sharing; an existing link is kept
+router.post('/collections/:id/share', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const result = await db.query(`
+      UPDATE collections SET share_token = COALESCE(share_token, $1), updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [crypto.randomBytes(16).toString('base64url'), collection.id]);
+
+    res.json({
+      success: true,
+      message: 'Anyone with the link can now view this collection',
+      data: formatCollection(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Share collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share collection'
+    });
+  }
+});
+
+// Turn off link sharing; the old link stops working
+router.delete('/collections/:id/share', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) {
+      return;
+    }
+
+    const result = await db.query(`
+      UPDATE collections SET share_token = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [collection.id]);
+
+    res.json({
+      success: true,
+      message: 'Collection is no longer shared',
+      data: formatCollection(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Unshare collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop sharing collection'
+    });
+  }
+});
+
+module.exports = router;
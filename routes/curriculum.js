@@ -0,0 +1,127 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { NODE_TYPES, subtreeSql } = require('../services/curriculum');
+
+const router = express.Router();
+
+// Nest flat rows (ordered by position) under their parents
+const buildTree = (rows) => {
+  const byId = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = node.parent_id && byId.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// Get the curriculum tree, optionally for one grade and down to a given depth
+router.get('/', [
+  query('grade').optional().isIn([
+    'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
+    'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
+  ]),
+  query('depth').optional().isIn(NODE_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { grade, depth = 'learning_outcome' } = req.query;
+    const nodeTypes = NODE_TYPES.slice(0, NODE_TYPES.indexOf(depth) + 1);
+
+    const result = await db.query(`
+      SELECT id, parent_id, code, node_type, grade, name, position
+      FROM curriculum_nodes
+      WHERE ($1::text IS NULL OR grade = $1) AND node_type = ANY($2)
+      ORDER BY grade, position, code
+    `, [grade || null, nodeTypes]);
+
+    res.json({
+      success: true,
+      data: buildTree(result.rows)
+    });
+  } catch (error) {
+    console.error('Get curriculum error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch curriculum'
+    });
+  }
+});
+
+// Get one node with its path from the learning area, its children and how many
+// published resources cover it or anything beneath it
+router.get('/nodes/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const nodeResult = await db.query(
+      'SELECT id, parent_id, code, node_type, grade, name, position FROM curriculum_nodes WHERE id = $1',
+      [id]
+    );
+
+    if (nodeResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curriculum node not found'
+      });
+    }
+
+    const pathResult = await db.query(`
+      WITH RECURSIVE ancestry AS (
+        SELECT id, parent_id, name, node_type, 0 as depth FROM curriculum_nodes WHERE id = $1
+        UNION ALL
+        SELECT parent.id, parent.parent_id, parent.name, parent.node_type, ancestry.depth + 1
+        FROM curriculum_nodes parent JOIN ancestry ON ancestry.parent_id = parent.id
+      )
+      SELECT id, name, node_type FROM ancestry ORDER BY depth DESC
+    `, [id]);
+
+    const childrenResult = await db.query(`
+      SELECT id, code, node_type, grade, name, position
+      FROM curriculum_nodes
+      WHERE parent_id = $1
+      ORDER BY position, code
+    `, [id]);
+
+    const countResult = await db.query(`
+      SELECT COUNT(DISTINCT r.id)
+      FROM resource_curriculum_nodes rcn
+      JOIN resources r ON rcn.resource_id = r.id AND r.status = 'active'
+      WHERE rcn.node_id IN (${subtreeSql('$1')})
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...nodeResult.rows[0],
+        path: pathResult.rows,
+        label: pathResult.rows.map((step) => step.name).join(' > '),
+        children: childrenResult.rows,
+        resource_count: parseInt(countResult.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Get curriculum node error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch curriculum node'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const axios = require('axios');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -45,7 +45,7 @@ const generateMpesaPassword = () => {
 };
 
 // Initiate M-Pesa STK Push
-router.post('/mpesa/initiate', authenticateToken, [
+router.post('/mpesa/initiate', authenticateToken, requireVerifiedEmail, [
   body('phone_number').matches(/^254[0-9]{9}$/),
   body('amount').isFloat({ min: 1 }),
   body('plan_id').isIn(['basic', 'premium', 'institution'])
@@ -1,29 +1,189 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  optionalAuthenticate,
+  acceptApiKey,
+  requirePermission,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { searchVectorSql, tsquerySql, headlineSql } = require('../services/resourceSearch');
+const {
+  RESOURCE_FILTER_VALIDATORS,
+  buildWhereClause,
+  buildResourceFilters
+} = require('../services/resourceFilters');
+const {
+  REVISION_FIELDS,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  refreshFileStats
+} = require('../services/resourceRevisions');
+const { initialResourceStatus, notifyUploader } = require('../services/moderation');
+const { hasPermission } = require('../services/permissions');
+const {
+  REVIEW_SELECT,
+  hasDownloaded,
+  refreshRatingStats,
+  getRatingSummary
+} = require('../services/resourceReviews');
+const {
+  parseNodeIds,
+  validateNodeIds,
+  setResourceCurriculum,
+  getResourceCurriculum
+} = require('../services/curriculum');
+const { resolveResourceSubject } = require('../services/subjects');
+const { RECOMMENDED_RESOURCE_COLUMNS } = require('../services/recommendations');
+const {
+  getResourceBundles,
+  isInPremiumBundle,
+  premiumViaBundleSql,
+  effectivePremiumSql
+} = require('../services/bundles');
+const { DOWNLOAD_URL_TTL, createDownloadUrl } = require('../services/fileDownloads');
 
 const router = express.Router();
 
+// Holders of only the `.own` variant of a permission may act on resources they
+// uploaded. Sends the error response and returns false when not allowed.
+const ensureCanModifyResource = async (req, res, action) => {
+  if (req.permissions.has(`resource.${action}.any`)) {
+    return true;
+  }
+
+  const result = await db.query('SELECT uploaded_by FROM resources WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Resource not found'
+    });
+    return false;
+  }
+
+  if (result.rows[0].uploaded_by !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: `You can only ${action} resources you uploaded`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Columns that can be requested with ?facets=
+const RESOURCE_FACETS = {
+  grade: 'r.grade',
+  subject: 'r.subject',
+  year: 'r.year',
+  term: 'r.term',
+  resource_type: 'r.resource_type',
+  is_premium: effectivePremiumSql('r'),
+  school: 'r.school'
+};
+
+// Most common values returned per facet
+const FACET_VALUE_LIMIT = 50;
+
+// { facet: [{ value, count }] } for each requested facet, one grouped query per
+// facet run in parallel
+const getFacetCounts = async (filters, facets) => {
+  const entries = await Promise.all(facets.map(async (facet) => {
+    const column = RESOURCE_FACETS[facet];
+    const { whereClause, params } = buildWhereClause(filters, facet);
+
+    const result = await db.query(`
+      SELECT ${column} as value, COUNT(*)::int as count
+      FROM resources r
+      ${whereClause} AND ${column} IS NOT NULL
+      GROUP BY ${column}
+      ORDER BY count DESC, value
+      LIMIT ${FACET_VALUE_LIMIT}
+    `, params);
+
+    return [facet, result.rows];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+// Listing sort orders. Every order ends with r.id so keyset cursors are stable;
+// `key` is the column (or rank expression) the cursor records.
+const RESOURCE_SORTS = {
+  newest: { key: () => 'r.created_at', type: 'timestamptz', direction: 'DESC' },
+  oldest: { key: () => 'r.created_at', type: 'timestamptz', direction: 'ASC' },
+  most_downloaded: { key: () => 'r.download_count', type: 'integer', direction: 'DESC' },
+  title: { key: () => 'r.title', type: 'text', direction: 'ASC' },
+  top_rated: { key: () => 'COALESCE(r.rating_average, 0)', type: 'numeric', direction: 'DESC' },
+  relevance: {
+    key: (searchParam) => `ts_rank(${searchVectorSql('r')}, ${tsquerySql(searchParam)})`,
+    type: 'real',
+    direction: 'DESC'
+  }
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort, the search it
+// ranked by, and the last row's sort key and id
+const encodeCursor = (sort, search, row) => {
+  return Buffer.from(JSON.stringify({
+    sort,
+    search: sort === 'relevance' ? search : undefined,
+    key: row.sort_key,
+    id: row.id
+  })).toString('base64url');
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// What a cursor key of each sort type looks like, so a tampered cursor is
+// rejected instead of failing the SQL cast
+const CURSOR_KEY_PATTERNS = {
+  timestamptz: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/,
+  integer: /^-?\d{1,9}$/,
+  numeric: /^-?\d{1,10}(\.\d{1,10})?$/,
+  real: /^-?\d{1,10}(\.\d{1,10})?(e[+-]?\d{1,2})?$/i,
+  text: /^[^\u0000]{0,1000}$/
+};
+
+// The decoded cursor, or null when it isn't one this sort could have produced
+const decodeCursor = (cursor, sortType) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!decoded || typeof decoded.id !== 'string' || !UUID_PATTERN.test(decoded.id)) {
+      return null;
+    }
+
+    if (typeof decoded.key !== 'string' || !CURSOR_KEY_PATTERNS[sortType].test(decoded.key)) {
+      return null;
+    }
+
+    if (sortType === 'timestamptz' && Number.isNaN(Date.parse(decoded.key.replace(' ', 'T').replace(/([+-]\d{2})$/, '$1:00')))) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
 // ============================================
 // GET ALL RESOURCES WITH FILTERING & PAGINATION
 // ============================================
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('grade').optional().isIn([
-    'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
-    'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
-  ]),
-  query('subject').optional().isLength({ min: 1 }),
-  query('year').optional().isInt({ min: 2020, max: 2030 }),
-  query('term').optional().isIn(['1', '2', '3']),
-  query('resource_type').optional().isIn([
-    'lesson_plan', 'worksheet', 'assessment', 'marking_scheme', 'question_paper',
-    'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment'
-  ]),
-  query('search').optional().isLength({ min: 1 }),
-  query('school').optional().isLength({ min: 1 })
+  ...RESOURCE_FILTER_VALIDATORS,
+  query('sort').optional().isIn(Object.keys(RESOURCE_SORTS)),
+  query('cursor').optional().isString(),
+  query('facets').optional().isString().custom((value) => {
+    return value.split(',').every((facet) => RESOURCE_FACETS[facet.trim()]);
+  }).withMessage(`facets must be a comma-separated list of: ${Object.keys(RESOURCE_FACETS).join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -35,110 +195,167 @@ router.get('/', [
       });
     }
 
-    const {
-      page = 1,
-      limit = 20,
-      grade,
-      subject,
-      year,
-      term,
-      resource_type,
-      search,
-      is_premium,
-      school
-    } = req.query;
-
-    const offset = (page - 1) * limit;
-    let whereConditions = ['r.status = $1'];
-    let queryParams = ['active'];
-    let paramCount = 1;
-
-    // Build dynamic WHERE clauses
-    if (grade) {
-      paramCount++;
-      whereConditions.push(`r.grade = $${paramCount}`);
-      queryParams.push(grade);
-    }
+    const { page = 1, limit = 20, cursor } = req.query;
+    const { filters, searchQuery } = await buildResourceFilters(req.query);
 
-    if (subject) {
-      paramCount++;
-      whereConditions.push(`r.subject = $${paramCount}`);
-      queryParams.push(subject);
+    // Relevance is the default order for searches and needs a search to rank by
+    let sort = req.query.sort || (searchQuery ? 'relevance' : 'newest');
+    if (sort === 'relevance' && !searchQuery) {
+      sort = 'newest';
     }
 
-    if (year) {
-      paramCount++;
-      whereConditions.push(`r.year = $${paramCount}`);
-      queryParams.push(year);
-    }
+    const offset = (page - 1) * limit;
 
-    if (term) {
-      paramCount++;
-      whereConditions.push(`r.term = $${paramCount}`);
-      queryParams.push(term);
-    }
+    const { whereClause, params: queryParams, paramIndexes } = buildWhereClause(filters);
+    const searchParam = paramIndexes.search;
 
-    if (resource_type) {
-      paramCount++;
-      whereConditions.push(`r.resource_type = $${paramCount}`);
-      queryParams.push(resource_type);
-    }
+    const sortOrder = RESOURCE_SORTS[sort];
+    const sortKey = sortOrder.key(searchParam);
+    const orderBy = `${sortKey} ${sortOrder.direction}, r.id ${sortOrder.direction}`;
 
-    if (is_premium !== undefined) {
-      paramCount++;
-      whereConditions.push(`r.is_premium = $${paramCount}`);
-      queryParams.push(is_premium === 'true');
-    }
+    // Keyset pagination: continue after the last row of the previous page
+    let keysetCondition = '';
+    if (cursor) {
+      const position = decodeCursor(cursor, sortOrder.type);
 
-    if (search) {
-      paramCount++;
-      whereConditions.push(`(r.title ILIKE $${paramCount} OR r.description ILIKE $${paramCount})`);
-      queryParams.push(`%${search}%`);
-    }
+      if (!position || position.sort !== sort || (sort === 'relevance' && position.search !== searchQuery)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor for this sort and search'
+        });
+      }
 
-    if (school) {
-      paramCount++;
-      whereConditions.push(`r.school ILIKE $${paramCount}`);
-      queryParams.push(`%${school}%`);
+      queryParams.push(position.key, position.id);
+      keysetCondition = `AND (${sortKey}, r.id) ${sortOrder.direction === 'DESC' ? '<' : '>'} ` +
+        `($${queryParams.length - 1}::${sortOrder.type}, $${queryParams.length}::uuid)`;
     }
 
-    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+    const paramCount = queryParams.length;
 
-    // Fetch resources with files in one query
+    // Pick the page from resources alone, so the sort indexes can serve it as
+    // a top-N scan, then add files, uploader and highlights for those rows only
     const resourcesQuery = `
       SELECT 
         r.*,
+        ${premiumViaBundleSql('r')} as premium_via_bundle,
         u.full_name as uploaded_by_name,
-        COALESCE(
-          json_agg(
+        COALESCE((
+          SELECT json_agg(
             json_build_object(
               'id', rf.id,
               'name', rf.file_name,
-              'url', rf.file_url,
               'size', rf.file_size,
               'type', rf.file_type,
-              'mime_type', rf.mime_type,
-              'r2_key', rf.r2_key
+              'mime_type', rf.mime_type
             ) ORDER BY rf.file_order, rf.created_at
-          ) FILTER (WHERE rf.id IS NOT NULL AND rf.is_active = true), 
-          '[]'::json
-        ) as files
-      FROM resources r
-      LEFT JOIN resource_files rf ON r.id = rf.resource_id AND rf.is_active = true
+          )
+          FROM resource_files rf
+          WHERE rf.resource_id = r.id AND rf.is_active = true
+        ), '[]'::json) as files
+        ${searchParam ? `,
+        ts_rank(${searchVectorSql('r')}, ${tsquerySql(searchParam)}) as search_rank,
+        ${headlineSql('r', searchParam)} as highlights` : ''},
+        (${sortKey})::text as sort_key
+      FROM (
+        SELECT r.* FROM resources r
+        ${whereClause} ${keysetCondition}
+        ORDER BY ${orderBy}
+        LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      ) r
       LEFT JOIN users u ON r.uploaded_by = u.id
-      ${whereClause}
-      GROUP BY r.id, u.full_name
-      ORDER BY r.created_at DESC
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+      ORDER BY ${orderBy}
     `;
-    queryParams.push(limit, offset);
+    // One extra row tells us whether there is a next page
+    queryParams.push(parseInt(limit) + 1, cursor ? 0 : offset);
 
     const result = await db.query(resourcesQuery, queryParams);
 
-    // Get total count for pagination
-    const countQuery = `SELECT COUNT(*) FROM resources r ${whereClause}`;
-    const countResult = await db.query(countQuery, queryParams.slice(0, -2));
-    const totalCount = parseInt(countResult.rows[0].count);
+    const hasMore = result.rows.length > parseInt(limit);
+    const rows = result.rows.slice(0, parseInt(limit));
+    const nextCursor = hasMore ? encodeCursor(sort, searchQuery, rows[rows.length - 1]) : null;
+    const resources = rows.map(({ sort_key, ...resource }) => resource);
+
+    // Page-number requests keep the total count; cursor requests skip it
+    let pagination;
+    if (cursor) {
+      pagination = {
+        limit: parseInt(limit),
+        has_more: hasMore,
+        next_cursor: nextCursor
+      };
+    } else {
+      const countQuery = `SELECT COUNT(*) FROM resources r ${whereClause}`;
+      const countResult = await db.query(countQuery, queryParams.slice(0, -2));
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      pagination = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit),
+        has_more: hasMore,
+        next_cursor: nextCursor
+      };
+    }
+
+    const facets = req.query.facets
+      ? await getFacetCounts(filters, [...new Set(req.query.facets.split(',').map((facet) => facet.trim()))])
+      : undefined;
+
+    res.json({
+      success: true,
+      data: {
+        resources,
+        sort,
+        pagination,
+        facets
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch resources'
+    });
+  }
+});
+
+// ============================================
+// MY UPLOADS (INCLUDING PENDING AND REJECTED)
+// ============================================
+router.get('/mine', acceptApiKey('resources:read'), authenticateToken, [
+  query('status').optional().isIn(['active', 'pending', 'rejected', 'inactive']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT
+        id, title, subject, grade, year, term, resource_type, is_premium, status,
+        moderation_reason, moderated_at, download_count, created_at, updated_at
+      FROM resources
+      WHERE uploaded_by = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [req.user.id, status || null, limit, offset]);
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM resources WHERE uploaded_by = $1 AND ($2::text IS NULL OR status = $2)',
+      [req.user.id, status || null]
+    );
 
     res.json({
       success: true,
@@ -147,42 +364,151 @@ router.get('/', [
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
-          total: totalCount,
-          pages: Math.ceil(totalCount / limit)
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
         }
       }
     });
+  } catch (error) {
+    console.error('Get my resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your resources'
+    });
+  }
+});
+
+// ============================================
+// MODERATION QUEUE (MODERATORS)
+// ============================================
+router.get('/moderation/queue', authenticateToken, requirePermission('resource.moderate'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Oldest submissions first
+    const result = await db.query(`
+      SELECT
+        r.*,
+        u.full_name as uploaded_by_name,
+        u.email as uploaded_by_email,
+        (SELECT COUNT(*) FROM resources WHERE uploaded_by = r.uploaded_by AND status = 'active') as uploader_published_count
+      FROM resources r
+      LEFT JOIN users u ON r.uploaded_by = u.id
+      WHERE r.status = 'pending'
+      ORDER BY r.created_at ASC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await db.query("SELECT COUNT(*) FROM resources WHERE status = 'pending'");
+
+    res.json({
+      success: true,
+      data: {
+        resources: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
   } catch (error) {
-    console.error('Get resources error:', error);
+    console.error('Get moderation queue error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch resources'
+      message: 'Failed to fetch moderation queue'
     });
   }
 });
 
+// Approve or reject a pending resource, then tell the uploader
+const moderateResource = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE resources
+      SET status = $1, moderated_by = $2, moderated_at = NOW(), moderation_reason = $3, updated_at = NOW()
+      WHERE id = $4 AND status = 'pending'
+      RETURNING *
+    `, [decision === 'approve' ? 'active' : 'rejected', req.user.id, req.body.reason || null, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending resource not found'
+      });
+    }
+
+    const resource = result.rows[0];
+    await notifyUploader(resource);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Resource approved and published' : 'Resource rejected',
+      data: resource
+    });
+  } catch (error) {
+    console.error(`Moderation ${decision} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${decision} resource`
+    });
+  }
+};
+
+router.post('/:id/approve', authenticateToken, requirePermission('resource.moderate'), [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], moderateResource('approve'));
+
+router.post('/:id/reject', authenticateToken, requirePermission('resource.moderate'), [
+  body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('A rejection reason is required')
+], moderateResource('reject'));
+
 // ============================================
 // GET SINGLE RESOURCE BY ID
 // ============================================
-router.get('/:id', async (req, res) => {
+// Unpublished resources are only visible to their uploader and moderators
+router.get('/:id', acceptApiKey('resources:read'), optionalAuthenticate, async (req, res) => {
   try {
     const { id } = req.params;
+    const viewerId = req.user ? req.user.id : null;
+    const isModerator = req.user ? await hasPermission(req.user, 'resource.moderate') : false;
 
     const result = await db.query(`
       SELECT 
         r.*,
+        ${premiumViaBundleSql('r')} as premium_via_bundle,
         u.full_name as uploaded_by_name,
         COALESCE(
           json_agg(
             json_build_object(
               'id', rf.id,
               'name', rf.file_name,
-              'url', rf.file_url,
               'size', rf.file_size,
               'type', rf.file_type,
-              'mime_type', rf.mime_type,
-              'r2_key', rf.r2_key
+              'mime_type', rf.mime_type
             ) ORDER BY rf.file_order
           ) FILTER (WHERE rf.id IS NOT NULL AND rf.is_active = true), 
           '[]'::json
@@ -190,9 +516,12 @@ router.get('/:id', async (req, res) => {
       FROM resources r
       LEFT JOIN resource_files rf ON r.id = rf.resource_id AND rf.is_active = true
       LEFT JOIN users u ON r.uploaded_by = u.id
-      WHERE r.id = $1 AND r.status = 'active'
+      WHERE r.id = $1 AND (
+        r.status = 'active' OR
+        (r.status IN ('pending', 'rejected') AND (r.uploaded_by = $2 OR $3))
+      )
       GROUP BY r.id, u.full_name
-    `, [id]);
+    `, [id, viewerId, isModerator]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -203,7 +532,11 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        curriculum: await getResourceCurriculum(id),
+        bundles: await getResourceBundles(id)
+      }
     });
 
   } catch (error) {
@@ -218,7 +551,7 @@ router.get('/:id', async (req, res) => {
 // ============================================
 // CREATE NEW RESOURCE (FILLS 2 TABLES)
 // ============================================
-router.post('/', authenticateToken, requireRole(['staff', 'admin']), [
+router.post('/', acceptApiKey('resources:write'), authenticateToken, requirePermission('resource.publish'), [
   body('school').trim().isLength({ min: 1 }).withMessage('School is required'),
   body('title').trim().isLength({ min: 5, max: 500 }),
   body('description').optional().trim().isLength({ max: 1000 }),
@@ -234,7 +567,8 @@ router.post('/', authenticateToken, requireRole(['staff', 'admin']), [
     'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment'
   ]),
   body('is_premium').isBoolean(),
-  body('files').isArray({ min: 1 })
+  body('files').isArray({ min: 1 }),
+  body('curriculum_node_ids').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -259,36 +593,53 @@ router.post('/', authenticateToken, requireRole(['staff', 'admin']), [
       files
     } = req.body;
 
-    await db.query('BEGIN');
+    const subjectResult = await resolveResourceSubject(subject, grade);
+    if (subjectResult.problem) {
+      return res.status(400).json({
+        success: false,
+        message: subjectResult.problem
+      });
+    }
 
-    try {
+    const curriculumNodeIds = parseNodeIds(req.body.curriculum_node_ids);
+    const curriculumProblems = await validateNodeIds(curriculumNodeIds, grade);
+    if (curriculumProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: curriculumProblems.join('; ')
+      });
+    }
+
+    const status = await initialResourceStatus(req.user);
+
+    const resource = await db.transaction(async (client) => {
       // Calculate file statistics
       const fileCount = files.length;
       const totalFileSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
 
       // Insert into resources table
-      const resourceResult = await db.query(`
+      const resourceResult = await client.query(`
         INSERT INTO resources (
           school, title, description, subject, grade, year, term, 
-          resource_type, is_premium, uploaded_by, file_count, total_file_size
+          resource_type, is_premium, uploaded_by, file_count, total_file_size, status
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
-      `, [school, title, description, subject, grade, year, term, resource_type, is_premium, req.user.id, fileCount, totalFileSize]);
+      `, [school, title, description, subjectResult.slug, grade, year, term, resource_type, is_premium, req.user.id, fileCount, totalFileSize, status]);
 
-      const resource = resourceResult.rows[0];
+      const created = resourceResult.rows[0];
 
       // Insert into resource_files table
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
-        await db.query(`
+        await client.query(`
           INSERT INTO resource_files (
             resource_id, file_name, file_url, file_size, file_type, 
             mime_type, r2_key, r2_bucket, file_order
           )
           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         `, [
-          resource.id,
+          created.id,
           file.name,
           file.url,
           file.size,
@@ -300,22 +651,24 @@ router.post('/', authenticateToken, requireRole(['staff', 'admin']), [
         ]);
       }
 
-      await db.query('COMMIT');
+      await setResourceCurriculum(client, created.id, curriculumNodeIds);
 
-      res.status(201).json({
-        success: true,
-        message: 'Resource created successfully',
-        data: resource,
-        tables_filled: {
-          resources: 1,
-          resource_files: files.length
-        }
-      });
+      await recordRevision(client, created.id, { authorId: req.user.id, changeType: 'create' });
 
-    } catch (error) {
-      await db.query('ROLLBACK');
-      throw error;
-    }
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: status === 'pending'
+        ? 'Resource submitted for review'
+        : 'Resource created successfully',
+      data: resource,
+      tables_filled: {
+        resources: 1,
+        resource_files: files.length
+      }
+    });
 
   } catch (error) {
     console.error('Create resource error:', error);
@@ -327,11 +680,26 @@ router.post('/', authenticateToken, requireRole(['staff', 'admin']), [
 });
 
 // ============================================
-// TRACK DOWNLOAD (FILLS 1 TABLE + UPDATES 1 TABLE)
+// DOWNLOAD (PRESIGNED FILE URLS)
 // ============================================
-router.post('/:id/download', authenticateToken, async (req, res) => {
+// Listings don't reveal where files are stored; this returns short-lived R2
+// links for the resource's files (or just `file_id`) once the user is allowed
+// to download them, logging one download row per file
+router.post('/:id/download', acceptApiKey('downloads:write'), authenticateToken, requireVerifiedEmail, [
+  body('file_id').optional().isUUID()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
+    const { file_id } = req.body;
 
     const resourceResult = await db.query(
       'SELECT * FROM resources WHERE id = $1 AND status = $2',
@@ -354,41 +722,67 @@ router.post('/:id/download', authenticateToken, async (req, res) => {
       });
     }
 
-    await db.query('BEGIN');
+    // A premium bundle makes every resource in it premium
+    if (req.user.subscription_status !== 'active' && await isInPremiumBundle(id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Premium subscription required to download resources in this bundle'
+      });
+    }
+
+    const filesResult = await db.query(`
+      SELECT id, file_name, file_size, mime_type, r2_key, r2_bucket
+      FROM resource_files
+      WHERE resource_id = $1 AND is_active = true AND ($2::uuid IS NULL OR id = $2)
+      ORDER BY file_order, created_at
+    `, [id, file_id || null]);
 
-    try {
-      await db.query(`
-        INSERT INTO downloads (user_id, resource_id, download_ip, user_agent)
-        VALUES ($1, $2, $3, $4)
-      `, [req.user.id, id, req.ip, req.get('User-Agent')]);
+    if (filesResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: file_id ? 'File not found' : 'This resource has no files to download'
+      });
+    }
 
-      await db.query(`
+    // Signed before anything is logged, so a signing failure isn't counted
+    const files = await Promise.all(filesResult.rows.map(async (file) => ({
+      id: file.id,
+      name: file.file_name,
+      size: file.file_size,
+      mime_type: file.mime_type,
+      url: await createDownloadUrl(file)
+    })));
+
+    await db.transaction(async (client) => {
+      for (const file of files) {
+        await client.query(`
+          INSERT INTO downloads (user_id, resource_id, file_id, download_ip, user_agent)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [req.user.id, id, file.id, req.ip, req.get('User-Agent')]);
+      }
+
+      await client.query(`
         UPDATE resources 
         SET download_count = download_count + 1 
         WHERE id = $1
       `, [id]);
+    });
 
-      await db.query('COMMIT');
-
-      res.json({
-        success: true,
-        message: 'Download recorded successfully',
-        tables_affected: {
-          downloads: 'inserted 1 row',
-          resources: 'updated download_count'
-        }
-      });
-
-    } catch (error) {
-      await db.query('ROLLBACK');
-      throw error;
-    }
+    res.json({
+      success: true,
+      message: 'Download recorded successfully',
+      data: {
+        files,
+        expires_in: DOWNLOAD_URL_TTL,
+        expires_at: new Date(Date.now() + DOWNLOAD_URL_TTL * 1000).toISOString()
+      }
+    });
 
   } catch (error) {
     console.error('Download resource error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to record download'
+      message: 'Failed to prepare download'
     });
   }
 });
@@ -396,12 +790,23 @@ router.post('/:id/download', authenticateToken, async (req, res) => {
 // ============================================
 // UPDATE RESOURCE (STAFF / ADMIN)
 // ============================================
-router.put('/:id', authenticateToken, requireRole(['staff', 'admin']), [
+router.put('/:id', acceptApiKey('resources:write'), authenticateToken, requirePermission(['resource.update.any', 'resource.update.own']), [
   body('school').optional().trim().isLength({ min: 5, max: 500 }),
   body('title').optional().trim().isLength({ min: 5, max: 500 }),
   body('description').optional().trim().isLength({ max: 1000 }),
   body('subject').optional().isLength({ min: 1 }),
-  body('is_premium').optional().isBoolean()
+  body('grade').optional().isIn([
+    'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
+    'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
+  ]),
+  body('year').optional().isInt({ min: 2020, max: 2030 }),
+  body('term').optional().isIn(['1', '2', '3']),
+  body('resource_type').optional().isIn([
+    'lesson_plan', 'worksheet', 'assessment', 'marking_scheme', 'question_paper',
+    'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment'
+  ]),
+  body('is_premium').optional().isBoolean(),
+  body('curriculum_node_ids').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -413,39 +818,140 @@ router.put('/:id', authenticateToken, requireRole(['staff', 'admin']), [
       });
     }
 
+    if (!(await ensureCanModifyResource(req, res, 'update'))) {
+      return;
+    }
+
     const { id } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
 
-    const updateFields = [];
-    const values = [];
-    let paramCount = 0;
+    // Curriculum links are replaced only when curriculum_node_ids is sent
+    const curriculumNodeIds = updates.curriculum_node_ids !== undefined
+      ? parseNodeIds(updates.curriculum_node_ids)
+      : null;
 
-    Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined) {
-        paramCount++;
-        updateFields.push(`${key} = $${paramCount}`);
-        values.push(updates[key]);
-      }
-    });
-
-    if (updateFields.length === 0) {
+    if (!REVISION_FIELDS.some((key) => updates[key] !== undefined) && curriculumNodeIds === null) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update'
       });
     }
 
+    const current = await db.query('SELECT grade, subject FROM resources WHERE id = $1', [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const grade = updates.grade || current.rows[0].grade;
+
+    // The subject has to be taught in the (possibly new) grade; a grade change
+    // can move the resource to that grade's equivalent ("Maths" in preprimary
+    // is Mathematical Activities)
+    if (updates.subject !== undefined || updates.grade) {
+      // A resource can stay on its subject after the subject is deactivated
+      const keepsSubject = updates.subject === undefined || updates.subject === current.rows[0].subject;
+      const subjectResult = await resolveResourceSubject(
+        keepsSubject ? current.rows[0].subject : updates.subject,
+        grade,
+        { activeOnly: !keepsSubject }
+      );
+
+      if (subjectResult.problem) {
+        return res.status(400).json({
+          success: false,
+          message: subjectResult.problem
+        });
+      }
+
+      updates.subject = subjectResult.slug;
+    }
+
+    let curriculumProblems = [];
+    if (curriculumNodeIds !== null) {
+      curriculumProblems = await validateNodeIds(curriculumNodeIds, grade);
+    } else if (updates.grade) {
+      const mismatched = await db.query(`
+        SELECT 1 FROM resource_curriculum_nodes rcn
+        JOIN curriculum_nodes cn ON rcn.node_id = cn.id
+        WHERE rcn.resource_id = $1 AND cn.grade <> $2
+        LIMIT 1
+      `, [id, grade]);
+
+      if (mismatched.rows.length > 0) {
+        curriculumProblems = [`Send curriculum_node_ids for ${grade} when changing the grade`];
+      }
+    }
+
+    if (curriculumProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: curriculumProblems.join('; ')
+      });
+    }
+
+    const updateFields = [];
+    const values = [];
+    let paramCount = 0;
+
+    // Only tracked metadata fields can be updated
+    REVISION_FIELDS.forEach(key => {
+      if (updates[key] !== undefined) {
+        paramCount++;
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(updates[key]);
+      }
+    });
+
     values.push(id);
     const query = `
       UPDATE resources 
       SET ${updateFields.join(', ')}, updated_at = NOW()
-      WHERE id = $${paramCount + 1} AND status = 'active'
+      WHERE id = $${paramCount + 1} AND status IN ('active', 'pending')
       RETURNING *
     `;
 
-    const result = await db.query(query, values);
+    const updated = await db.transaction(async (client) => {
+      const existing = await client.query(
+        "SELECT id, status FROM resources WHERE id = $1 AND status IN ('active', 'pending', 'rejected') FOR UPDATE",
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        return null;
+      }
 
-    if (result.rows.length === 0) {
+      // Editing a rejected resource resubmits it for review; the rejection
+      // reason stays for the moderator to compare against
+      if (existing.rows[0].status === 'rejected') {
+        await client.query(`
+          UPDATE resources
+          SET status = 'pending', moderated_by = NULL, moderated_at = NULL, updated_at = NOW()
+          WHERE id = $1
+        `, [id]);
+      }
+
+      if (curriculumNodeIds !== null) {
+        await setResourceCurriculum(client, id, curriculumNodeIds);
+      }
+
+      // Curriculum links aren't part of revisions, so a links-only update
+      // leaves the history alone
+      if (updateFields.length === 0) {
+        const result = await client.query('SELECT * FROM resources WHERE id = $1', [id]);
+        return { resource: result.rows[0], revision: null };
+      }
+
+      await ensureBaselineRevision(client, id);
+
+      const result = await client.query(query, values);
+      const revision = await recordRevision(client, id, { authorId: req.user.id, changeType: 'update' });
+
+      return { resource: result.rows[0], revision };
+    });
+
+    if (!updated) {
       return res.status(404).json({
         success: false,
         message: 'Resource not found'
@@ -455,7 +961,8 @@ router.put('/:id', authenticateToken, requireRole(['staff', 'admin']), [
     res.json({
       success: true,
       message: 'Resource updated successfully',
-      data: result.rows[0]
+      data: updated.resource,
+      revision: updated.revision
     });
 
   } catch (error) {
@@ -467,17 +974,490 @@ router.put('/:id', authenticateToken, requireRole(['staff', 'admin']), [
   }
 });
 
+// ============================================
+// RESOURCE REVISIONS
+// ============================================
+const canEditResource = [
+  authenticateToken,
+  requirePermission(['resource.update.any', 'resource.update.own']),
+  async (req, res, next) => {
+    try {
+      if (await ensureCanModifyResource(req, res, 'update')) {
+        next();
+      }
+    } catch (error) {
+      console.error('Resource access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check resource access'
+      });
+    }
+  }
+];
+
+const findRevision = async (resourceId, revisionNumber) => {
+  const result = await db.query(
+    'SELECT * FROM resource_revisions WHERE resource_id = $1 AND revision_number = $2',
+    [resourceId, revisionNumber]
+  );
+
+  return result.rows[0];
+};
+
+// List revisions, newest first
+router.get('/:id/revisions', acceptApiKey('resources:read'), canEditResource, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        rr.id, rr.revision_number, rr.change_type, rr.changed_fields,
+        rr.author_id, u.full_name as author_name, rr.created_at,
+        restored.revision_number as restored_from_revision
+      FROM resource_revisions rr
+      LEFT JOIN users u ON rr.author_id = u.id
+      LEFT JOIN resource_revisions restored ON rr.restored_from = restored.id
+      WHERE rr.resource_id = $1
+      ORDER BY rr.revision_number DESC
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// Field-level diff between two revisions (defaults to the latest change)
+router.get('/:id/revisions/diff', acceptApiKey('resources:read'), canEditResource, [
+  query('from').optional().isInt({ min: 1 }),
+  query('to').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    let to = parseInt(req.query.to);
+    if (!to) {
+      const latest = await db.query(
+        'SELECT MAX(revision_number) as revision_number FROM resource_revisions WHERE resource_id = $1',
+        [id]
+      );
+      to = latest.rows[0].revision_number;
+    }
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(id, from),
+      findRevision(id, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision_number,
+        to: toRevision.revision_number,
+        ...diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff revisions'
+    });
+  }
+});
+
+// Get a single revision with its full snapshot
+router.get('/:id/revisions/:revision', acceptApiKey('resources:read'), canEditResource, async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, parseInt(req.params.revision) || 0);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revision'
+    });
+  }
+});
+
+// Restore a revision's metadata and file set. The restore is itself recorded
+// as a new revision, so it can be undone the same way.
+router.post('/:id/revisions/:revision/restore', canEditResource, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = await findRevision(id, parseInt(req.params.revision) || 0);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const { snapshot } = revision;
+
+    const restored = await db.transaction(async (client) => {
+      const existing = await client.query(
+        "SELECT id FROM resources WHERE id = $1 AND status IN ('active', 'pending') FOR UPDATE",
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`
+        UPDATE resources
+        SET ${REVISION_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = NOW()
+        WHERE id = $${REVISION_FIELDS.length + 1}
+      `, [...REVISION_FIELDS.map((field) => snapshot[field]), id]);
+
+      // Re-attach the revision's files (files purged from storage can't come back)
+      const fileIds = snapshot.files.map((file) => file.id);
+      const reattached = await client.query(`
+        UPDATE resource_files rf
+        SET is_active = true, file_order = f.file_order, updated_at = NOW()
+        FROM unnest($2::uuid[], $3::int[]) as f(id, file_order)
+        WHERE rf.id = f.id AND rf.resource_id = $1
+        RETURNING rf.id
+      `, [id, fileIds, snapshot.files.map((file) => file.order)]);
+
+      await client.query(`
+        UPDATE resource_files SET is_active = false, updated_at = NOW()
+        WHERE resource_id = $1 AND is_active = true AND NOT (id = ANY($2::uuid[]))
+      `, [id, fileIds]);
+
+      await refreshFileStats(client, id);
+
+      const newRevision = await recordRevision(client, id, {
+        authorId: req.user.id,
+        changeType: 'restore',
+        restoredFrom: revision.id
+      });
+
+      const reattachedIds = new Set(reattached.rows.map((row) => row.id));
+
+      return {
+        revision: newRevision,
+        missing_files: snapshot.files.filter((file) => !reattachedIds.has(file.id))
+      };
+    });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: restored.revision
+        ? `Restored revision ${revision.revision_number}`
+        : 'Resource already matches this revision',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision'
+    });
+  }
+});
+
+// ============================================
+// RATINGS AND REVIEWS
+// ============================================
+const findActiveResource = async (id) => {
+  const result = await db.query(
+    "SELECT id, title FROM resources WHERE id = $1 AND status = 'active'",
+    [id]
+  );
+
+  return result.rows[0];
+};
+
+// Visible reviews, newest first, with the rating summary and the caller's own
+// review (even if hidden)
+router.get('/:id/reviews', acceptApiKey('resources:read'), optionalAuthenticate, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (!(await findActiveResource(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const result = await db.query(`
+      ${REVIEW_SELECT}
+      WHERE rr.resource_id = $1 AND rr.status = 'visible'
+      ORDER BY rr.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+
+    const summary = await getRatingSummary(id);
+
+    let myReview = null;
+    if (req.user) {
+      const mine = await db.query(
+        `${REVIEW_SELECT} WHERE rr.resource_id = $1 AND rr.user_id = $2`,
+        [id, req.user.id]
+      );
+      myReview = mine.rows[0] || null;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        reviews: result.rows,
+        my_review: myReview,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: summary.count,
+          pages: Math.ceil(summary.count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// Create or edit the caller's review. Only users who downloaded the resource
+// may review it; a hidden review stays hidden when edited.
+router.put('/:id/review', authenticateToken, [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('body').optional({ nullable: true }).trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const rating = parseInt(req.body.rating);
+    const reviewBody = req.body.body || null;
+
+    if (!(await findActiveResource(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    if (!(await hasDownloaded(req.user.id, id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download this resource before reviewing it'
+      });
+    }
+
+    const created = await db.transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM resource_reviews WHERE resource_id = $1 AND user_id = $2 FOR UPDATE',
+        [id, req.user.id]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          'UPDATE resource_reviews SET rating = $1, body = $2, updated_at = NOW() WHERE id = $3',
+          [rating, reviewBody, existing.rows[0].id]
+        );
+      } else {
+        await client.query(`
+          INSERT INTO resource_reviews (resource_id, user_id, rating, body)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (resource_id, user_id) DO UPDATE SET rating = EXCLUDED.rating, body = EXCLUDED.body, updated_at = NOW()
+        `, [id, req.user.id, rating, reviewBody]);
+      }
+
+      await refreshRatingStats(client, id);
+
+      return existing.rows.length === 0;
+    });
+
+    const review = await db.query(
+      `${REVIEW_SELECT} WHERE rr.resource_id = $1 AND rr.user_id = $2`,
+      [id, req.user.id]
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Review added' : 'Review updated',
+      data: review.rows[0]
+    });
+  } catch (error) {
+    console.error('Save review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save review'
+    });
+  }
+});
+
+// Delete the caller's review
+router.delete('/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await db.transaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM resource_reviews WHERE resource_id = $1 AND user_id = $2 RETURNING id',
+        [id, req.user.id]
+      );
+
+      if (result.rows.length > 0) {
+        await refreshRatingStats(client, id);
+      }
+
+      return result.rows.length > 0;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review'
+    });
+  }
+});
+
+// ============================================
+// RELATED RESOURCES
+// ============================================
+// Precomputed by npm run recommendations; reasons lists the signals behind
+// each match (co_downloaded, same_strand, same_grade_subject)
+router.get('/:id/related', [
+  query('limit').optional().isInt({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { limit = 10 } = req.query;
+
+    if (!(await findActiveResource(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const result = await db.query(`
+      SELECT ${RECOMMENDED_RESOURCE_COLUMNS}, rr.score, rr.co_downloads, rr.reasons, rr.computed_at
+      FROM related_resources rr
+      JOIN resources r ON rr.related_resource_id = r.id AND r.status = 'active'
+      WHERE rr.resource_id = $1
+      ORDER BY rr.score DESC, r.download_count DESC
+      LIMIT $2
+    `, [id, limit]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get related resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch related resources'
+    });
+  }
+});
+
 // ============================================
 // DELETE RESOURCE (SOFT DELETE)
 // ============================================
-router.delete('/:id', authenticateToken, requireRole(['staff', 'admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(['resource.delete.any', 'resource.delete.own']), async (req, res) => {
   try {
+    if (!(await ensureCanModifyResource(req, res, 'delete'))) {
+      return;
+    }
+
     const { id } = req.params;
 
     const result = await db.query(`
       UPDATE resources 
       SET status = 'inactive', updated_at = NOW()
-      WHERE id = $1 AND status = 'active'
+      WHERE id = $1 AND status IN ('active', 'pending', 'rejected')
       RETURNING id, title
     `, [id]);
 
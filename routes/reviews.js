@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { REVIEW_SELECT, refreshRatingStats } = require('../services/resourceReviews');
+
+const router = express.Router();
+
+// Moderator: List reviews across resources, newest first
+router.get('/', authenticateToken, requirePermission('review.moderate'), [
+  query('status').optional().isIn(['visible', 'hidden']),
+  query('resource_id').optional().isUUID(),
+  query('max_rating').optional().isInt({ min: 1, max: 5 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, resource_id, max_rating, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`rr.status = $${params.length}`);
+    }
+
+    if (resource_id) {
+      params.push(resource_id);
+      conditions.push(`rr.resource_id = $${params.length}`);
+    }
+
+    if (max_rating) {
+      params.push(parseInt(max_rating));
+      conditions.push(`rr.rating <= $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(`
+      SELECT reviews.*, r.title as resource_title
+      FROM (${REVIEW_SELECT} ${whereClause}) reviews
+      LEFT JOIN resources r ON reviews.resource_id = r.id
+      ORDER BY reviews.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM resource_reviews rr ${whereClause}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reviews: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// Hide or restore a review and update the resource's rating
+const setReviewStatus = (status) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const review = await db.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE resource_reviews
+        SET status = $1, moderated_by = $2, moderated_at = NOW(), moderation_reason = $3
+        WHERE id = $4
+        RETURNING id, resource_id
+      `, [status, req.user.id, req.body.reason || null, req.params.id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await refreshRatingStats(client, result.rows[0].resource_id);
+
+      return result.rows[0];
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const updated = await db.query(`${REVIEW_SELECT} WHERE rr.id = $1`, [review.id]);
+
+    res.json({
+      success: true,
+      message: status === 'hidden' ? 'Review hidden' : 'Review restored',
+      data: updated.rows[0]
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review'
+    });
+  }
+};
+
+// Moderator: Hide a review from the resource page and its rating
+router.post('/:id/hide', authenticateToken, requirePermission('review.moderate'), [
+  body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('A reason is required')
+], setReviewStatus('hidden'));
+
+// Moderator: Make a hidden review visible again
+router.post('/:id/unhide', authenticateToken, requirePermission('review.moderate'), [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], setReviewStatus('visible'));
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendMail } = require('../services/mailer');
+
+const router = express.Router();
+
+// Let the applicant know the outcome of their application
+const notifyApplicant = async (application, user) => {
+  const approved = application.status === 'approved';
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Your Elimufiti ${application.requested_role} application was ${application.status}`,
+      text: `Hi ${user.full_name},\n\n` +
+        (approved
+          ? `Your application for ${application.requested_role} access has been approved. ` +
+            'The new permissions apply the next time you use the app.'
+          : `Your application for ${application.requested_role} access has been rejected.`) +
+        (application.decision_reason ? `\n\nReviewer note: ${application.decision_reason}` : '')
+    });
+  } catch (mailError) {
+    console.error('Role application email error:', mailError);
+  }
+};
+
+// Apply for an elevated role
+router.post('/', authenticateToken, [
+  body('requested_role').isIn(['staff', 'admin']),
+  body('school_name').trim().isLength({ min: 2, max: 255 }),
+  body('tsc_number').optional().trim().isAlphanumeric().isLength({ max: 20 }),
+  body('supporting_info').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { requested_role, school_name, tsc_number, supporting_info } = req.body;
+
+    if (req.user.role === requested_role) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have the ${requested_role} role`
+      });
+    }
+
+    const pendingResult = await db.query(
+      'SELECT id FROM role_applications WHERE user_id = $1 AND status = $2',
+      [req.user.id, 'pending']
+    );
+
+    if (pendingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending role application'
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO role_applications (user_id, requested_role, school_name, tsc_number, supporting_info)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [req.user.id, requested_role, school_name, tsc_number || null, supporting_info || null]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role application submitted',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    // Unique violation: another application was submitted at the same time
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending role application'
+      });
+    }
+
+    console.error('Create role application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit role application'
+    });
+  }
+});
+
+// Get current user's applications
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT * FROM role_applications
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get my role applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role applications'
+    });
+  }
+});
+
+// Admin: List role applications
+router.get('/', authenticateToken, requirePermission('role.manage'), [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT
+        ra.*,
+        u.email, u.full_name, u.role as current_role,
+        reviewer.full_name as reviewed_by_name
+      FROM role_applications ra
+      JOIN users u ON ra.user_id = u.id
+      LEFT JOIN users reviewer ON ra.reviewed_by = reviewer.id
+      WHERE ra.status = $1
+      ORDER BY ra.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM role_applications WHERE status = $1',
+      [status]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        applications: result.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get role applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role applications'
+    });
+  }
+});
+
+// Admin: Approve application and grant the requested role
+router.post('/:id/approve', authenticateToken, requirePermission('role.manage'), [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const decision = await db.transaction(async (client) => {
+      const applicationResult = await client.query(`
+        UPDATE role_applications
+        SET status = 'approved', reviewed_by = $1, reviewed_at = NOW(), decision_reason = $2, updated_at = NOW()
+        WHERE id = $3 AND status = 'pending'
+        RETURNING *
+      `, [req.user.id, req.body.reason || null, id]);
+
+      if (applicationResult.rows.length === 0) {
+        return null;
+      }
+
+      const application = applicationResult.rows[0];
+
+      const userResult = await client.query(`
+        UPDATE users
+        SET role = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING id, email, full_name, role
+      `, [application.requested_role, application.user_id]);
+
+      return { application, user: userResult.rows[0] };
+    });
+
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending application not found'
+      });
+    }
+
+    await notifyApplicant(decision.application, decision.user);
+
+    res.json({
+      success: true,
+      message: 'Role application approved',
+      data: decision
+    });
+  } catch (error) {
+    console.error('Approve role application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve role application'
+    });
+  }
+});
+
+// Admin: Reject application
+router.post('/:id/reject', authenticateToken, requirePermission('role.manage'), [
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE role_applications
+      SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(), decision_reason = $2, updated_at = NOW()
+      WHERE id = $3 AND status = 'pending'
+      RETURNING *
+    `, [req.user.id, req.body.reason, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending application not found'
+      });
+    }
+
+    const application = result.rows[0];
+
+    const userResult = await db.query(
+      'SELECT email, full_name FROM users WHERE id = $1',
+      [application.user_id]
+    );
+
+    if (userResult.rows.length > 0) {
+      await notifyApplicant(application, userResult.rows[0]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Role application rejected',
+      data: application
+    });
+  } catch (error) {
+    console.error('Reject role application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject role application'
+    });
+  }
+});
+
+module.exports = router;
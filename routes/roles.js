@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { invalidatePermissionCache } = require('../services/permissions');
+
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Admins must not be able to lock themselves out of role management
+const PROTECTED_GRANTS = { admin: ['role.manage'] };
+
+// Return the names in `permissions` that aren't in the catalog
+const findUnknownPermissions = async (permissions) => {
+  if (permissions.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    'SELECT name FROM permissions WHERE name = ANY($1)',
+    [permissions]
+  );
+  const known = new Set(result.rows.map((row) => row.name));
+
+  return permissions.filter((permission) => !known.has(permission));
+};
+
+const validatePermissionList = async (req, res) => {
+  const unknown = await findUnknownPermissions(req.body.permissions);
+
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown permissions: ${unknown.join(', ')}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const replaceRolePermissions = async (client, role, permissions, grantedBy) => {
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+
+  for (const permission of new Set(permissions)) {
+    await client.query(
+      'INSERT INTO role_permissions (role, permission, granted_by) VALUES ($1, $2, $3)',
+      [role, permission, grantedBy]
+    );
+  }
+};
+
+// Roles with their permission names and how many users hold them
+const ROLE_SELECT = `
+  SELECT
+    r.name, r.description, r.is_system, r.created_at, r.updated_at,
+    ARRAY(
+      SELECT rp.permission FROM role_permissions rp
+      WHERE rp.role = r.name
+      ORDER BY rp.permission
+    ) as permissions,
+    (SELECT COUNT(*) FROM users WHERE role = r.name) as user_count
+  FROM roles r
+`;
+
+const fetchRole = async (name) => {
+  const result = await db.query(`${ROLE_SELECT} WHERE r.name = $1`, [name]);
+
+  return result.rows[0];
+};
+
+// Admin: Permission catalog
+router.get('/permissions', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const result = await db.query('SELECT name, description FROM permissions ORDER BY name');
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch permissions'
+    });
+  }
+});
+
+// Admin: List roles with their permissions
+router.get('/', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const result = await db.query(`${ROLE_SELECT} ORDER BY r.is_system DESC, r.name`);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+// Admin: Create a custom role
+router.post('/', authenticateToken, requirePermission('role.manage'), [
+  body('name').trim().matches(ROLE_NAME_PATTERN)
+    .withMessage('Role name must be 2-50 lowercase letters, digits or underscores'),
+  body('description').optional().trim().isLength({ max: 255 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    req.body.permissions = req.body.permissions || [];
+
+    if (!(await validatePermissionList(req, res))) {
+      return;
+    }
+
+    const existing = await db.query('SELECT 1 FROM roles WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    await db.transaction(async (client) => {
+      await client.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2)',
+        [name, description || null]
+      );
+      await replaceRolePermissions(client, name, req.body.permissions, req.user.id);
+    });
+
+    invalidatePermissionCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      data: await fetchRole(name)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// Admin: Replace a role's permissions
+router.put('/:name/permissions', authenticateToken, requirePermission('role.manage'), [
+  body('permissions').isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { permissions } = req.body;
+
+    const existing = await db.query('SELECT 1 FROM roles WHERE name = $1', [name]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (!(await validatePermissionList(req, res))) {
+      return;
+    }
+
+    const missingProtected = (PROTECTED_GRANTS[name] || [])
+      .filter((permission) => !permissions.includes(permission));
+
+    if (missingProtected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${name} role must keep: ${missingProtected.join(', ')}`
+      });
+    }
+
+    await db.transaction(async (client) => {
+      await replaceRolePermissions(client, name, permissions, req.user.id);
+      await client.query('UPDATE roles SET updated_at = NOW() WHERE name = $1', [name]);
+    });
+
+    invalidatePermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated',
+      data: await fetchRole(name)
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role permissions'
+    });
+  }
+});
+
+// Admin: Delete a custom role that no user holds
+router.delete('/:name', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = await fetchRole(req.params.name);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    if (parseInt(role.user_count) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reassign the users holding this role before deleting it'
+      });
+    }
+
+    await db.query('DELETE FROM roles WHERE name = $1', [role.name]);
+    invalidatePermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
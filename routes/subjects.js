@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { normalizeSubjectTerm, findConflictingSubjects } = require('../services/subjects');
+const { recordRevision, ensureBaselineRevision } = require('../services/resourceRevisions');
+
+const router = express.Router();
+
+const GRADES = [
+  'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
+  'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
+];
+
+const SUBJECT_SLUG_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Subjects with how many resources are filed under each
+const SUBJECT_SELECT = `
+  SELECT
+    s.*,
+    (SELECT COUNT(*) FROM resources r WHERE r.subject = s.slug AND r.status = 'active') as resource_count
+  FROM subjects s
+`;
+
+const fetchSubject = async (slug) => {
+  const result = await db.query(`${SUBJECT_SELECT} WHERE s.slug = $1`, [slug]);
+
+  return result.rows[0];
+};
+
+// Sends 409 and returns false when another subject already answers to one of
+// the subject's terms in an overlapping grade
+const ensureNoConflicts = async (res, subject, excludeSlugs) => {
+  const conflicts = await findConflictingSubjects(subject, excludeSlugs);
+
+  if (conflicts.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: `Name or aliases overlap with subjects taught in the same grades: ${conflicts.map((conflict) => conflict.slug).join(', ')}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Get the subject catalog, optionally for one grade
+router.get('/', [
+  query('grade').optional().isIn(GRADES),
+  query('include_inactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { grade, include_inactive } = req.query;
+
+    const result = await db.query(`
+      ${SUBJECT_SELECT}
+      WHERE ($1::text IS NULL OR $1 = ANY(s.grades)) AND (s.is_active OR $2)
+      ORDER BY s.name
+    `, [grade || null, include_inactive === 'true']);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get subjects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subjects'
+    });
+  }
+});
+
+// Admin: Add a subject
+router.post('/', authenticateToken, requirePermission('subject.manage'), [
+  body('slug').trim().matches(SUBJECT_SLUG_PATTERN)
+    .withMessage('Slug must be 2-50 lowercase letters, digits or underscores'),
+  body('name').trim().isLength({ min: 2, max: 100 }),
+  body('aliases').optional().isArray(),
+  body('aliases.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('grades').isArray({ min: 1 }),
+  body('grades.*').isIn(GRADES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const subject = {
+      slug: req.body.slug,
+      name: req.body.name,
+      aliases: [...new Set((req.body.aliases || []).map(normalizeSubjectTerm))],
+      grades: [...new Set(req.body.grades)]
+    };
+
+    if (await fetchSubject(subject.slug)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A subject with this slug already exists'
+      });
+    }
+
+    if (!(await ensureNoConflicts(res, subject))) {
+      return;
+    }
+
+    await db.query(
+      'INSERT INTO subjects (slug, name, aliases, grades) VALUES ($1, $2, $3, $4)',
+      [subject.slug, subject.name, subject.aliases, subject.grades]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Subject created',
+      data: await fetchSubject(subject.slug)
+    });
+  } catch (error) {
+    console.error('Create subject error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create subject'
+    });
+  }
+});
+
+// Admin: Update a subject's name, aliases, grades or active flag. The slug is
+// what resources store, so it can't change; merge into a new subject instead.
+router.put('/:slug', authenticateToken, requirePermission('subject.manage'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }),
+  body('aliases').optional().isArray(),
+  body('aliases.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('grades').optional().isArray({ min: 1 }),
+  body('grades.*').isIn(GRADES),
+  body('is_active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await fetchSubject(req.params.slug);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const subject = {
+      slug: existing.slug,
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      aliases: req.body.aliases !== undefined
+        ? [...new Set(req.body.aliases.map(normalizeSubjectTerm))]
+        : existing.aliases,
+      grades: req.body.grades !== undefined ? [...new Set(req.body.grades)] : existing.grades
+    };
+    const isActive = req.body.is_active !== undefined ? req.body.is_active : existing.is_active;
+
+    if (!(await ensureNoConflicts(res, subject, subject.slug))) {
+      return;
+    }
+
+    await db.query(`
+      UPDATE subjects SET name = $1, aliases = $2, grades = $3, is_active = $4, updated_at = NOW()
+      WHERE slug = $5
+    `, [subject.name, subject.aliases, subject.grades, isActive, subject.slug]);
+
+    res.json({
+      success: true,
+      message: 'Subject updated',
+      data: await fetchSubject(subject.slug)
+    });
+  } catch (error) {
+    console.error('Update subject error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subject'
+    });
+  }
+});
+
+// Admin: Merge a subject into another. Its resources move to the target (with a
+// revision each) and its slug, name and aliases become aliases of the target.
+// Refused when the merged aliases would clash with a third subject.
+router.post('/:slug/merge', authenticateToken, requirePermission('subject.manage'), [
+  body('into').trim().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const source = await fetchSubject(req.params.slug);
+    const target = await fetchSubject(req.body.into);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    if (source.slug === target.slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'A subject cannot be merged into itself'
+      });
+    }
+
+    const aliases = [...new Set([
+      ...target.aliases,
+      ...[source.slug, source.name, ...source.aliases].map(normalizeSubjectTerm)
+    ])];
+    const grades = [...new Set([...target.grades, ...source.grades])];
+
+    const merged = { slug: target.slug, name: target.name, aliases, grades };
+    if (!(await ensureNoConflicts(res, merged, [source.slug, target.slug]))) {
+      return;
+    }
+
+    const moved = await db.transaction(async (client) => {
+      const resources = await client.query(
+        'SELECT id FROM resources WHERE subject = $1 ORDER BY id FOR UPDATE',
+        [source.slug]
+      );
+
+      for (const { id } of resources.rows) {
+        await ensureBaselineRevision(client, id);
+        await client.query(
+          'UPDATE resources SET subject = $1, updated_at = NOW() WHERE id = $2',
+          [target.slug, id]
+        );
+        await recordRevision(client, id, { authorId: req.user.id, changeType: 'update' });
+      }
+
+      await client.query('DELETE FROM subjects WHERE slug = $1', [source.slug]);
+      await client.query(`
+        UPDATE subjects SET aliases = $1, grades = $2, updated_at = NOW()
+        WHERE slug = $3
+      `, [aliases, grades, target.slug]);
+
+      return resources.rows.length;
+    });
+
+    res.json({
+      success: true,
+      message: `Merged ${source.name} into ${target.name}`,
+      data: {
+        subject: await fetchSubject(target.slug),
+        resources_moved: moved
+      }
+    });
+  } catch (error) {
+    console.error('Merge subject error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge subjects'
+    });
+  }
+});
+
+// Admin: Delete a subject no resource uses
+router.delete('/:slug', authenticateToken, requirePermission('subject.manage'), async (req, res) => {
+  try {
+    const subject = await fetchSubject(req.params.slug);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const inUse = await db.query('SELECT 1 FROM resources WHERE subject = $1 LIMIT 1', [subject.slug]);
+    if (inUse.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Resources use this subject; deactivate it or merge it into another subject instead'
+      });
+    }
+
+    await db.query('DELETE FROM subjects WHERE slug = $1', [subject.slug]);
+
+    res.json({
+      success: true,
+      message: 'Subject deleted'
+    });
+  } catch (error) {
+    console.error('Delete subject error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete subject'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,78 +2,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { SUBSCRIPTION_PLANS } = require('../config/plans');
 
 const router = express.Router();
 
 // Get subscription plans
 router.get('/plans', async (req, res) => {
   try {
-    const plans = [
-      {
-        id: 'free',
-        name: 'Free',
-        price: 0,
-        currency: 'KSH',
-        interval: 'lifetime',
-        features: [
-          'Access to basic resources',
-          'Limited downloads (5 per month)',
-          'Community support',
-          'Basic search filters'
-        ],
-        limitations: [
-          'No premium resources',
-          'Limited download quota',
-          'No priority support'
-        ]
-      },
-      {
-        id: 'basic',
-        name: 'Basic',
-        price: 500,
-        currency: 'KSH',
-        interval: 'month',
-        features: [
-          'Access to all basic resources',
-          'Unlimited downloads',
-          'Email support',
-          'Advanced search filters',
-          'Resource bookmarking'
-        ]
-      },
-      {
-        id: 'premium',
-        name: 'Premium',
-        price: 1200,
-        currency: 'KSH',
-        interval: 'month',
-        features: [
-          'Access to ALL resources',
-          'Premium exclusive content',
-          'Priority support',
-          'Bulk download options',
-          'Custom resource requests',
-          'Early access to new materials'
-        ],
-        popular: true
-      },
-      {
-        id: 'institution',
-        name: 'Institution',
-        price: 5000,
-        currency: 'KSH',
-        interval: 'month',
-        features: [
-          'Everything in Premium',
-          'Multi-user access (up to 50 users)',
-          'Institution branding',
-          'Dedicated account manager',
-          'Custom integrations',
-          'Training sessions',
-          'Analytics dashboard'
-        ]
-      }
-    ];
+    // Entitlements are enforced server-side and stay out of the response
+    const plans = SUBSCRIPTION_PLANS.map(({ entitlements, ...plan }) => plan);
 
     res.json({
       success: true,
@@ -1,22 +1,25 @@
 const express = require('express');
 const multer = require('multer');
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { authenticateToken, requireRole } = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { r2 } = require('../config/r2');
+const { authenticateToken, acceptApiKey, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
+const {
+  recordRevision,
+  ensureBaselineRevision,
+  refreshFileStats
+} = require('../services/resourceRevisions');
+const { initialResourceStatus } = require('../services/moderation');
+const {
+  parseNodeIds,
+  validateNodeIds,
+  setResourceCurriculum
+} = require('../services/curriculum');
+const { resolveResourceSubject } = require('../services/subjects');
 
 const router = express.Router();
 
-// Configure S3 client for Cloudflare R2
-const r2 = new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY
-  }
-});
-
 // Configure multer (store files in memory)
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -38,8 +41,9 @@ const upload = multer({
 // Upload resource (files + metadata)
 router.post(
   '/files',
+  acceptApiKey('resources:write'),
   authenticateToken,
-  requireRole(['staff', 'admin']),
+  requirePermission('resource.publish'),
   upload.array('files', 10),
   [
     body('school').trim().isLength({ min: 1 }).withMessage('School is required'),
@@ -74,11 +78,22 @@ router.post(
         return res.status(400).json({ success: false, message: 'No files uploaded' });
       }
 
+      // Checked before anything is uploaded to R2
+      const subjectResult = await resolveResourceSubject(req.body.subject, req.body.grade);
+      if (subjectResult.problem) {
+        return res.status(400).json({ success: false, message: subjectResult.problem });
+      }
+
+      const curriculumNodeIds = parseNodeIds(req.body.curriculum_node_ids);
+      const curriculumProblems = await validateNodeIds(curriculumNodeIds, req.body.grade);
+      if (curriculumProblems.length > 0) {
+        return res.status(400).json({ success: false, message: curriculumProblems.join('; ') });
+      }
+
       const {
         school,
         title,
         description,
-        subject,
         grade,
         year,
         term,
@@ -86,67 +101,66 @@ router.post(
         is_premium
       } = req.body;
 
-      await db.query('BEGIN');
-
-      try {
-        // Upload all files to R2
-        const uploadPromises = req.files.map(async (file) => {
-          const timestamp = Date.now();
-          const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-          const key = `resources/${timestamp}-${sanitizedName}`;
-
-          await r2.send(
-            new PutObjectCommand({
-              Bucket: process.env.R2_BUCKET_NAME,
-              Key: key,
-              Body: file.buffer,
-              ContentType: file.mimetype,
-              Metadata: {
-                'original-name': file.originalname,
-                'uploaded-by': req.user.id,
-                'upload-timestamp': timestamp.toString()
-              }
-            })
-          );
-
-          return {
-            name: file.originalname,
-            size: file.size,
-            type: 'main_file',
-            key: key,
-            mime_type: file.mimetype,
-            r2_key: key
-          };
-        });
+      // Upload all files to R2
+      const uploadPromises = req.files.map(async (file) => {
+        const timestamp = Date.now();
+        const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+        const key = `resources/${timestamp}-${sanitizedName}`;
+
+        await r2.send(
+          new PutObjectCommand({
+            Bucket: process.env.R2_BUCKET_NAME,
+            Key: key,
+            Body: file.buffer,
+            ContentType: file.mimetype,
+            Metadata: {
+              'original-name': file.originalname,
+              'uploaded-by': req.user.id,
+              'upload-timestamp': timestamp.toString()
+            }
+          })
+        );
 
-        const uploadedFiles = await Promise.all(uploadPromises);
+        return {
+          name: file.originalname,
+          size: file.size,
+          type: 'main_file',
+          key: key,
+          mime_type: file.mimetype,
+          r2_key: key
+        };
+      });
 
-        // Insert into resources
-        const fileCount = uploadedFiles.length;
-        const totalFileSize = uploadedFiles.reduce((sum, f) => sum + (f.size || 0), 0);
+      const uploadedFiles = await Promise.all(uploadPromises);
 
-        const resourceResult = await db.query(`
+      // Insert into resources
+      const status = await initialResourceStatus(req.user);
+      const fileCount = uploadedFiles.length;
+      const totalFileSize = uploadedFiles.reduce((sum, f) => sum + (f.size || 0), 0);
+
+      const resource = await db.transaction(async (client) => {
+        const resourceResult = await client.query(`
           INSERT INTO resources (
             school, title, description, subject, grade, year, term, 
-            resource_type, is_premium, uploaded_by, file_count, total_file_size
+            resource_type, is_premium, uploaded_by, file_count, total_file_size, status
           )
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
           RETURNING *
-        `, [school, title, description, subject, grade, year, term, resource_type, is_premium, req.user.id, fileCount, totalFileSize]);
+        `, [school, title, description, subjectResult.slug, grade, year, term, resource_type, is_premium, req.user.id, fileCount, totalFileSize, status]);
 
-        const resource = resourceResult.rows[0];
+        const created = resourceResult.rows[0];
 
         // Insert each file into resource_files
         for (let i = 0; i < uploadedFiles.length; i++) {
           const file = uploadedFiles[i];
-          await db.query(`
+          await client.query(`
             INSERT INTO resource_files (
               resource_id, file_name, file_size, file_type, mime_type, 
               r2_key, r2_bucket, file_order
             )
             VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
           `, [
-            resource.id,
+            created.id,
             file.name,
             file.size,
             file.type,
@@ -157,21 +171,22 @@ router.post(
           ]);
         }
 
-        await db.query('COMMIT');
+        await setResourceCurriculum(client, created.id, curriculumNodeIds);
 
-        res.status(201).json({
-          success: true,
-          message: 'Resource created successfully',
-          data: {
-            resource,
-            files: uploadedFiles
-          }
-        });
+        await recordRevision(client, created.id, { authorId: req.user.id, changeType: 'create' });
+
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: status === 'pending' ? 'Resource submitted for review' : 'Resource created successfully',
+        data: {
+          resource,
+          files: uploadedFiles
+        }
+      });
 
-      } catch (err) {
-        await db.query('ROLLBACK');
-        throw err;
-      }
     } catch (error) {
       console.error('Upload + DB error:', error);
       res.status(500).json({ success: false, message: 'Failed to create resource', error: error.message });
@@ -179,26 +194,60 @@ router.post(
   }
 );
 
-// Delete file from R2 + DB
+// Delete a file from storage and its resource. Pass ?keep=true to only detach
+// it, keeping the R2 object so an earlier revision can bring the file back.
 router.delete(
   '/files/:key(*)',
   authenticateToken,
-  requireRole(['staff', 'admin']),
+  requirePermission('resource.delete.any'),
+  [
+    query('keep').optional().isBoolean()
+  ],
   async (req, res) => {
     try {
-      const { key } = req.params;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
 
-      await r2.send(new DeleteObjectCommand({
-        Bucket: process.env.R2_BUCKET_NAME,
-        Key: key
-      }));
+      const { key } = req.params;
+      const purge = req.query.keep !== 'true';
 
-      await db.query(
-        'UPDATE resource_files SET is_active = false WHERE r2_key = $1',
+      const fileResult = await db.query(
+        'SELECT id, resource_id FROM resource_files WHERE r2_key = $1',
         [key]
       );
 
-      res.json({ success: true, message: 'File deleted successfully' });
+      if (purge) {
+        await r2.send(new DeleteObjectCommand({
+          Bucket: process.env.R2_BUCKET_NAME,
+          Key: key
+        }));
+      }
+
+      for (const file of fileResult.rows) {
+        await db.transaction(async (client) => {
+          await ensureBaselineRevision(client, file.resource_id);
+
+          if (purge) {
+            await client.query('DELETE FROM resource_files WHERE id = $1', [file.id]);
+          } else {
+            await client.query(
+              'UPDATE resource_files SET is_active = false, updated_at = NOW() WHERE id = $1',
+              [file.id]
+            );
+          }
+
+          await refreshFileStats(client, file.resource_id);
+          await recordRevision(client, file.resource_id, { authorId: req.user.id, changeType: 'files' });
+        });
+      }
+
+      res.json({ success: true, message: purge ? 'File deleted from storage' : 'File removed from resource' });
     } catch (error) {
       console.error('File deletion error:', error);
       res.status(500).json({ success: false, message: 'Failed to delete file', error: error.message });
@@ -1,7 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, acceptApiKey, requirePermission } = require('../middleware/auth');
+const { unlockAccount, unlockIp } = require('../services/loginProtection');
+const { revokeSession, revokeOtherSessions } = require('../services/tokens');
+const { requestOtp, verifyOtp, maskPhone } = require('../services/phoneOtp');
+const { getRolePermissions } = require('../services/permissions');
+const { RECOMMENDED_RESOURCE_COLUMNS } = require('../services/recommendations');
 
 const router = express.Router();
 
@@ -24,9 +29,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
       });
     }
 
+    const permissions = await getRolePermissions(result.rows[0].role);
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        permissions: [...permissions].sort()
+      }
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -101,7 +111,7 @@ router.put('/profile', authenticateToken, [
 });
 
 // Get user download history
-router.get('/downloads', authenticateToken, async (req, res) => {
+router.get('/downloads', acceptApiKey('downloads:read'), authenticateToken, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -109,9 +119,11 @@ router.get('/downloads', authenticateToken, async (req, res) => {
     const result = await db.query(`
       SELECT 
         d.downloaded_at,
-        r.id, r.title, r.subject, r.grade, r.resource_type
+        r.id, r.title, r.subject, r.grade, r.resource_type,
+        d.file_id, rf.file_name
       FROM downloads d
       JOIN resources r ON d.resource_id = r.id
+      LEFT JOIN resource_files rf ON d.file_id = rf.id
       WHERE d.user_id = $1
       ORDER BY d.downloaded_at DESC
       LIMIT $2 OFFSET $3
@@ -143,8 +155,277 @@ router.get('/downloads', authenticateToken, async (req, res) => {
   }
 });
 
+// Get personal recommendations, precomputed from the user's downloads by
+// npm run recommendations. Users without any yet get popular resources.
+router.get('/recommendations', authenticateToken, [
+  query('limit').optional().isInt({ min: 1, max: 30 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { limit = 10 } = req.query;
+
+    // Skip anything downloaded since the last run
+    const personalized = await db.query(`
+      SELECT
+        ${RECOMMENDED_RESOURCE_COLUMNS}, ur.score, ur.computed_at,
+        COALESCE(
+          (SELECT json_agg(json_build_object('id', b.id, 'title', b.title))
+           FROM resources b WHERE b.id = ANY(ur.based_on)),
+          '[]'::json
+        ) as based_on
+      FROM user_recommendations ur
+      JOIN resources r ON ur.resource_id = r.id AND r.status = 'active'
+      WHERE ur.user_id = $1
+        AND NOT EXISTS (SELECT 1 FROM downloads d WHERE d.user_id = $1 AND d.resource_id = r.id)
+      ORDER BY ur.score DESC, r.download_count DESC
+      LIMIT $2
+    `, [req.user.id, limit]);
+
+    if (personalized.rows.length > 0) {
+      return res.json({
+        success: true,
+        data: {
+          source: 'personalized',
+          resources: personalized.rows
+        }
+      });
+    }
+
+    const popular = await db.query(`
+      SELECT ${RECOMMENDED_RESOURCE_COLUMNS}
+      FROM resources r
+      WHERE r.status = 'active'
+        AND NOT EXISTS (SELECT 1 FROM downloads d WHERE d.user_id = $1 AND d.resource_id = r.id)
+      ORDER BY r.download_count DESC, r.created_at DESC
+      LIMIT $2
+    `, [req.user.id, limit]);
+
+    res.json({
+      success: true,
+      data: {
+        source: 'popular',
+        resources: popular.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommendations'
+    });
+  }
+});
+
+// Start linking a phone number: sends an SMS code to it
+router.post('/phone', authenticateToken, [
+  body('phone_number').matches(/^254[0-9]{9}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone_number } = req.body;
+
+    const existing = await db.query(
+      'SELECT id FROM users WHERE phone_number = $1 AND id <> $2',
+      [phone_number, req.user.id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is linked to another account'
+      });
+    }
+
+    const otp = await requestOtp({
+      phoneNumber: phone_number,
+      purpose: 'link',
+      userId: req.user.id
+    });
+
+    if (!otp.sent) {
+      res.set('Retry-After', String(otp.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: otp.message,
+        retry_after: otp.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${maskPhone(phone_number)}`
+    });
+  } catch (error) {
+    console.error('Link phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// Confirm the SMS code and link the phone number to the account
+router.post('/phone/verify', authenticateToken, [
+  body('phone_number').matches(/^254[0-9]{9}$/),
+  body('code').matches(/^[0-9]{6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone_number, code } = req.body;
+
+    const otp = await verifyOtp({
+      phoneNumber: phone_number,
+      purpose: 'link',
+      code,
+      userId: req.user.id
+    });
+
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    try {
+      const result = await db.query(`
+        UPDATE users
+        SET phone_number = $1, phone_verified_at = NOW(), updated_at = NOW()
+        WHERE id = $2
+        RETURNING id, phone_number, phone_verified_at
+      `, [phone_number, req.user.id]);
+
+      res.json({
+        success: true,
+        message: 'Phone number linked successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Unique violation: linked to another account in the meantime
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'This phone number is linked to another account'
+        });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link phone number'
+    });
+  }
+});
+
+// Get active login sessions for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, device_name, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_seen_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: result.rows.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// Revoke one session (e.g. a forgotten computer-lab login)
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
 // Admin: Get all users
-router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('user.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 50, role, subscription_status } = req.query;
     const offset = (page - 1) * limit;
@@ -204,7 +485,7 @@ router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
 });
 
 // Admin: Update user subscription status
-router.put('/:id/subscription', authenticateToken, requireRole(['admin']), [
+router.put('/:id/subscription', authenticateToken, requirePermission('user.manage'), [
   body('subscription_status').isIn(['active', 'inactive', 'pending'])
 ], async (req, res) => {
   try {
@@ -248,4 +529,221 @@ router.put('/:id/subscription', authenticateToken, requireRole(['admin']), [
   }
 });
 
+// Admin: Assign a role
+router.put('/:id/role', authenticateToken, requirePermission('role.manage'), [
+  body('role').trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const roleResult = await db.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+    if (roleResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown role'
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE users
+      SET role = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING id, email, full_name, role
+    `, [role, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User role updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+// Admin: Lockout events and recent failed-login patterns
+router.get('/lockouts', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, scope, active } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereConditions = [];
+    let queryParams = [];
+    let paramCount = 0;
+
+    if (scope) {
+      paramCount++;
+      whereConditions.push(`l.scope = $${paramCount}`);
+      queryParams.push(scope);
+    }
+
+    if (active === 'true') {
+      whereConditions.push('l.locked_until > NOW() AND l.unlocked_at IS NULL');
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const result = await db.query(`
+      SELECT
+        l.*,
+        u.full_name,
+        admin.full_name as unlocked_by_name
+      FROM account_lockouts l
+      LEFT JOIN users u ON l.user_id = u.id
+      LEFT JOIN users admin ON l.unlocked_by = admin.id
+      ${whereClause}
+      ORDER BY l.created_at DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `, [...queryParams, limit, offset]);
+
+    const countResult = await db.query(`
+      SELECT COUNT(*) FROM account_lockouts l ${whereClause}
+    `, queryParams);
+
+    // Where failed logins have come from over the last 24 hours
+    const topIpsResult = await db.query(`
+      SELECT ip_address, COUNT(*) as failed_attempts, COUNT(DISTINCT email) as distinct_emails
+      FROM login_attempts
+      WHERE success = false AND created_at > NOW() - INTERVAL '24 hours'
+      GROUP BY ip_address
+      ORDER BY failed_attempts DESC
+      LIMIT 10
+    `);
+
+    const topEmailsResult = await db.query(`
+      SELECT email, COUNT(*) as failed_attempts, COUNT(DISTINCT ip_address) as distinct_ips
+      FROM login_attempts
+      WHERE success = false AND created_at > NOW() - INTERVAL '24 hours'
+      GROUP BY email
+      ORDER BY failed_attempts DESC
+      LIMIT 10
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts: result.rows,
+        failed_logins_24h: {
+          top_ips: topIpsResult.rows,
+          top_emails: topEmailsResult.rows
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parseInt(countResult.rows[0].count),
+          pages: Math.ceil(countResult.rows[0].count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lockouts'
+    });
+  }
+});
+
+// Admin: Lift the lock on an IP address (e.g. a school's shared connection)
+router.post('/lockouts/ip/unlock', authenticateToken, requirePermission('user.manage'), [
+  body('ip_address').isIP()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const unlocked = await unlockIp(req.body.ip_address, req.user.id);
+
+    if (unlocked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This IP address is not locked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'IP address unlocked',
+      data: { ip_address: req.body.ip_address }
+    });
+  } catch (error) {
+    console.error('Unlock IP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock IP address'
+    });
+  }
+});
+
+// Admin: Unlock a locked-out account
+router.post('/:id/unlock', authenticateToken, requirePermission('user.manage'), [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await unlockAccount(req.params.id, req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: user
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const db = require('../config/database');
+const { refreshRecommendations } = require('../services/recommendations');
+
+// Recompute related resources and personal recommendations. Meant to run from
+// cron, e.g. nightly: 0 2 * * * cd /app && npm run recommendations
+const computeRecommendations = async () => {
+  try {
+    console.log('🧮 Computing recommendations...');
+
+    const result = await refreshRecommendations();
+
+    if (!result) {
+      console.log('⏭️  Another recommendations run is in progress, skipping');
+      return;
+    }
+
+    console.log(`✅ Related resources computed for ${result.resources} resources`);
+    console.log(`✅ ${result.recommendations} personal recommendations computed`);
+  } catch (error) {
+    console.error('❌ Computing recommendations failed:', error);
+    throw error;
+  } finally {
+    await db.pool.end();
+  }
+};
+
+// Run computation
+if (require.main === module) {
+  computeRecommendations()
+    .then(() => {
+      console.log('🌟 Recommendations script completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Recommendations script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { computeRecommendations };
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const { createImport, runImport } = require('../services/resourceImports');
+
+const USAGE = 'Usage: npm run import -- <archive.zip> --user <email> [--manifest <manifest.csv>] [--dry-run]';
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--user') {
+      args.email = argv[++i];
+    } else if (argv[i] === '--manifest') {
+      args.manifestPath = argv[++i];
+    } else {
+      args.archivePath = argv[i];
+    }
+  }
+
+  return args;
+};
+
+// Import resources from a ZIP and CSV manifest, the same way as
+// POST /api/admin/resources/import, and print the per-row results
+const importResources = async (argv) => {
+  try {
+    const { archivePath, email, manifestPath, dryRun } = parseArgs(argv);
+
+    if (!archivePath || !email) {
+      throw new Error(USAGE);
+    }
+
+    const userResult = await db.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
+    if (userResult.rows.length === 0) {
+      throw new Error(`No user with email ${email}`);
+    }
+    const user = userResult.rows[0];
+
+    console.log(`📦 ${dryRun ? 'Validating' : 'Importing'} ${archivePath} as ${user.email}...`);
+
+    const created = await createImport({ user, fileName: path.basename(archivePath), dryRun, source: 'cli' });
+    await runImport(created.id, {
+      archivePath,
+      manifestText: manifestPath ? fs.readFileSync(manifestPath, 'utf8') : null,
+      user,
+      dryRun
+    });
+
+    const result = await db.query('SELECT * FROM resource_imports WHERE id = $1', [created.id]);
+    const resourceImport = result.rows[0];
+
+    if (resourceImport.status === 'failed') {
+      throw new Error(resourceImport.error);
+    }
+
+    for (const row of resourceImport.results) {
+      if (row.errors.length > 0) {
+        console.log(`⚠️  Line ${row.line} (${row.title || 'untitled'}): ${row.errors.join('; ')}`);
+      }
+    }
+
+    if (dryRun) {
+      console.log(`✅ ${resourceImport.total_rows - resourceImport.invalid_count} of ${resourceImport.total_rows} rows are valid`);
+    } else {
+      console.log(`✅ Created ${resourceImport.created_count} resources; ${resourceImport.invalid_count} invalid and ${resourceImport.failed_count} failed rows`);
+    }
+    console.log(`🔎 Import ${resourceImport.id}`);
+  } finally {
+    await db.pool.end();
+  }
+};
+
+// Run import
+if (require.main === module) {
+  importResources(process.argv.slice(2))
+    .then(() => {
+      console.log('🌟 Import script completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Import script failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importResources };
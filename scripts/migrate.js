@@ -1,5 +1,14 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const {
+  PERMISSIONS,
+  RETIRED_PERMISSIONS,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+const { searchVectorSql } = require('../services/resourceSearch');
+const { syncCurriculum } = require('../services/curriculum');
+const { loadDefaultSubjects, mapResourceSubjects } = require('../services/subjects');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -10,6 +19,74 @@ const createTables = async () => {
   try {
     console.log('🚀 Starting database migration...');
 
+    // Roles table - Built-in and admin-defined roles
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description VARCHAR(255),
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Permissions table - Catalog of named permissions
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name VARCHAR(100) PRIMARY KEY,
+        description VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Role permissions table - Which roles hold which permissions
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+        permission VARCHAR(100) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+        granted_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (role, permission)
+      );
+    `);
+
+    // Seed built-in roles and the permission catalog. Default grants are only
+    // applied to permissions that are new, so edits made through /api/roles
+    // survive later migrations.
+    for (const [name, description] of Object.entries(SYSTEM_ROLES)) {
+      await pool.query(`
+        INSERT INTO roles (name, description, is_system) VALUES ($1, $2, TRUE)
+        ON CONFLICT (name) DO UPDATE SET is_system = TRUE
+      `, [name, description]);
+    }
+
+    const existingPermissions = await pool.query('SELECT name FROM permissions');
+    const knownPermissions = new Set(existingPermissions.rows.map((row) => row.name));
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await pool.query(`
+        INSERT INTO permissions (name, description) VALUES ($1, $2)
+        ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description
+      `, [name, description]);
+
+      if (knownPermissions.has(name)) {
+        continue;
+      }
+
+      for (const [role, granted] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        if (granted.includes(name)) {
+          await pool.query(
+            'INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [role, name]
+          );
+        }
+      }
+    }
+
+    if (RETIRED_PERMISSIONS.length > 0) {
+      await pool.query('DELETE FROM permissions WHERE name = ANY($1)', [RETIRED_PERMISSIONS]);
+    }
+
     // Users table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -17,12 +94,23 @@ const createTables = async () => {
         email VARCHAR(255) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
         full_name VARCHAR(255) NOT NULL,
-        role VARCHAR(50) NOT NULL CHECK (role IN ('student', 'staff', 'admin')),
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
         school_name VARCHAR(255),
         subscription_status VARCHAR(50) DEFAULT 'inactive' CHECK (subscription_status IN ('active', 'inactive', 'pending')),
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        last_login TIMESTAMP WITH TIME ZONE
+        last_login TIMESTAMP WITH TIME ZONE,
+        token_version INTEGER NOT NULL DEFAULT 0,
+        email_verified_at TIMESTAMP WITH TIME ZONE,
+        failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_login_at TIMESTAMP WITH TIME ZONE,
+        locked_until TIMESTAMP WITH TIME ZONE,
+        totp_secret TEXT,
+        totp_enabled_at TIMESTAMP WITH TIME ZONE,
+        totp_last_used_step BIGINT,
+        phone_number VARCHAR(20) UNIQUE,
+        phone_verified_at TIMESTAMP WITH TIME ZONE,
+        password_changed_at TIMESTAMP WITH TIME ZONE
       );
     `);
 
@@ -30,6 +118,7 @@ const createTables = async () => {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS resources (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        school VARCHAR(500),
         title VARCHAR(500) NOT NULL,
         description TEXT,
         subject VARCHAR(100) NOT NULL,
@@ -39,10 +128,15 @@ const createTables = async () => {
         resource_type VARCHAR(50) NOT NULL CHECK (resource_type IN ('lesson_plan', 'worksheet', 'assessment', 'marking_scheme', 'question_paper', 'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment')),
         is_premium BOOLEAN DEFAULT FALSE,
         download_count INTEGER DEFAULT 0 CHECK (download_count >= 0),
+        rating_average NUMERIC(3, 2),
+        rating_count INTEGER NOT NULL DEFAULT 0,
         uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
         file_count INTEGER DEFAULT 0,
         total_file_size BIGINT DEFAULT 0,
-        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'pending')),
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'pending', 'rejected')),
+        moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP WITH TIME ZONE,
+        moderation_reason TEXT,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       );
@@ -54,12 +148,13 @@ const createTables = async () => {
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
         file_name VARCHAR(255) NOT NULL,
-        file_url TEXT NOT NULL,
+        file_url TEXT,
         file_size BIGINT NOT NULL CHECK (file_size > 0),
         file_type VARCHAR(50) NOT NULL CHECK (file_type IN ('question_paper', 'marking_scheme', 'answer_sheet', 'rubric', 'main_file', 'supplementary')),
         mime_type VARCHAR(100) NOT NULL,
         r2_key VARCHAR(500) NOT NULL,
         r2_bucket VARCHAR(100) DEFAULT 'elimufiti-resources',
+        file_order INTEGER NOT NULL DEFAULT 0,
         is_active BOOLEAN DEFAULT TRUE,
         upload_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -115,6 +210,409 @@ const createTables = async () => {
       );
     `);
 
+    // User sessions table - One row per login, shown in the sessions list
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_name VARCHAR(255),
+        user_agent TEXT,
+        ip_address INET,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Refresh tokens table - Rotating refresh tokens grouped into families (family = session)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        family_id UUID NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        rotated_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Password reset tokens table - One-time, time-limited reset links
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Email verification tokens table - Links sent to confirm address ownership
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Role applications table - Requests for elevated (staff/admin) access
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_applications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        requested_role VARCHAR(50) NOT NULL CHECK (requested_role IN ('staff', 'admin')),
+        school_name VARCHAR(255) NOT NULL,
+        tsc_number VARCHAR(20),
+        supporting_info TEXT,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+        decision_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Login attempts table - Every password login, for throttling and auditing
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255),
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        ip_address INET,
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Account lockouts table - Lockout events per account or per IP
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_lockouts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        scope VARCHAR(20) NOT NULL CHECK (scope IN ('account', 'ip')),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255),
+        ip_address INET,
+        failed_attempts INTEGER NOT NULL,
+        locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+        unlocked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        unlocked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Backup codes table - Hashed one-time recovery codes for 2FA
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_backup_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(255) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Phone OTPs table - SMS one-time codes for phone login and linking
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS phone_otps (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        phone_number VARCHAR(20) NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('login', 'link')),
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        consumed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // API keys table - Scoped, hashed keys for institution integrations
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        prefix VARCHAR(16) UNIQUE NOT NULL,
+        key_hash VARCHAR(64) NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        expires_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        last_used_ip INET,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Password history table - Previous password hashes, to prevent reuse
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Resource revisions table - Immutable snapshots of resource metadata and files
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_revisions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('baseline', 'create', 'update', 'files', 'restore')),
+        changed_fields TEXT[] NOT NULL DEFAULT '{}',
+        snapshot JSONB NOT NULL,
+        author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        restored_from UUID REFERENCES resource_revisions(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(resource_id, revision_number)
+      );
+    `);
+
+    // Resource reviews table - One star rating and optional review per user and resource
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_reviews (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        body TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'hidden')),
+        moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP WITH TIME ZONE,
+        moderation_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(resource_id, user_id)
+      );
+    `);
+
+    // Bookmarks table - Resources a user has saved
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bookmarks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, resource_id)
+      );
+    `);
+
+    // Collections table - Named, ordered lists of resources, optionally shared by link
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        share_token VARCHAR(64) UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, name)
+      );
+    `);
+
+    // Collection items table - Resources in a collection, in the owner's order
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS collection_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        collection_id UUID NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        note VARCHAR(500),
+        added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(collection_id, resource_id)
+      );
+    `);
+
+    // Curriculum nodes table - CBC learning areas, strands, sub-strands and learning outcomes per grade
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS curriculum_nodes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        parent_id UUID REFERENCES curriculum_nodes(id) ON DELETE CASCADE,
+        code VARCHAR(255) UNIQUE NOT NULL,
+        node_type VARCHAR(20) NOT NULL CHECK (node_type IN ('learning_area', 'strand', 'sub_strand', 'learning_outcome')),
+        grade VARCHAR(20) NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Resource curriculum nodes table - Curriculum nodes a resource covers
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_curriculum_nodes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        node_id UUID NOT NULL REFERENCES curriculum_nodes(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(resource_id, node_id)
+      );
+    `);
+
+    // Seed the curriculum tree from data/cbc-curriculum.json
+    const curriculumNodeCount = await syncCurriculum(pool);
+    console.log(`📚 Synced ${curriculumNodeCount} curriculum nodes`);
+
+    // Subjects table - Canonical subjects with their aliases and the grades they're taught in
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subjects (
+        slug VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        aliases TEXT[] NOT NULL DEFAULT '{}',
+        grades TEXT[] NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Seed the default catalog from data/subjects.json. Existing subjects are left
+    // alone so edits made through /api/subjects survive later migrations.
+    for (const subject of loadDefaultSubjects()) {
+      await pool.query(`
+        INSERT INTO subjects (slug, name, aliases, grades) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (slug) DO NOTHING
+      `, [subject.slug, subject.name, subject.aliases, subject.grades]);
+    }
+
+    // Map free-text resource subjects ("Maths", "mathematics") to canonical ones
+    const subjectMapping = await mapResourceSubjects(pool);
+    console.log(`📚 Mapped ${subjectMapping.mapped} resource subjects to the catalog`);
+    if (subjectMapping.unmapped.length > 0) {
+      console.log(`⚠️  Unmapped subjects (add them as aliases and re-run): ${subjectMapping.unmapped.join(', ')}`);
+    }
+
+    // Related resources table - Precomputed "related" lists, refreshed by npm run recommendations
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS related_resources (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        related_resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        score REAL NOT NULL,
+        co_downloads INTEGER NOT NULL DEFAULT 0,
+        reasons TEXT[] NOT NULL DEFAULT '{}',
+        computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(resource_id, related_resource_id)
+      );
+    `);
+
+    // User recommendations table - Precomputed personal recommendations, refreshed by npm run recommendations
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_recommendations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        score REAL NOT NULL,
+        based_on UUID[] NOT NULL DEFAULT '{}',
+        computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, resource_id)
+      );
+    `);
+
+    // Resource bundles table - Sets of linked resources, e.g. a mock paper with its marking scheme
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_bundles (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title VARCHAR(500) NOT NULL,
+        description TEXT,
+        is_premium BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+
+    // Resource bundle items table - A bundle's resources, their role and the item each one is for
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_bundle_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        bundle_id UUID NOT NULL REFERENCES resource_bundles(id) ON DELETE CASCADE,
+        resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+        role VARCHAR(50) NOT NULL CHECK (role IN ('question_paper', 'marking_scheme', 'answer_sheet', 'rubric', 'supplementary')),
+        for_resource_id UUID REFERENCES resources(id) ON DELETE SET NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        UNIQUE(bundle_id, resource_id)
+      );
+    `);
+
+    // Resource imports table - Bulk imports from a ZIP and CSV manifest, with per-row results
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS resource_imports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        file_name VARCHAR(255),
+        source VARCHAR(10) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'cli')),
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        total_rows INTEGER NOT NULL DEFAULT 0,
+        processed_rows INTEGER NOT NULL DEFAULT 0,
+        created_count INTEGER NOT NULL DEFAULT 0,
+        invalid_count INTEGER NOT NULL DEFAULT 0,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        results JSONB NOT NULL DEFAULT '[]',
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        started_at TIMESTAMP WITH TIME ZONE,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    // Accounts from before email verification was added are treated as verified,
+    // so turning on REQUIRE_EMAIL_VERIFICATION doesn't lock them out
+    const emailVerificationColumn = await pool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    `);
+
+    // Upgrade existing databases with columns added after the initial schema
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20) UNIQUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS school VARCHAR(500);
+      ALTER TABLE resource_files ADD COLUMN IF NOT EXISTS file_order INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE resource_files ALTER COLUMN file_url DROP NOT NULL;
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2);
+      ALTER TABLE resources ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE resource_imports ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'cli'));
+
+      ALTER TABLE resources DROP CONSTRAINT IF EXISTS resources_status_check;
+      ALTER TABLE resources ADD CONSTRAINT resources_status_check CHECK (status IN ('active', 'inactive', 'pending', 'rejected'));
+
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+      ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+    `);
+
+    if (emailVerificationColumn.rows.length === 0) {
+      await pool.query('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+    }
+
     // Create performance indexes
     await pool.query(`
       -- Users indexes
@@ -129,8 +627,15 @@ const createTables = async () => {
       CREATE INDEX IF NOT EXISTS idx_resources_resource_type ON resources(resource_type);
       CREATE INDEX IF NOT EXISTS idx_resources_is_premium ON resources(is_premium);
       CREATE INDEX IF NOT EXISTS idx_resources_status ON resources(status);
-      CREATE INDEX IF NOT EXISTS idx_resources_created_at ON resources(created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_resources_download_count ON resources(download_count DESC);
+      -- Superseded by the indexes with an id tiebreaker for keyset pagination
+      DROP INDEX IF EXISTS idx_resources_created_at;
+      DROP INDEX IF EXISTS idx_resources_download_count;
+      CREATE INDEX IF NOT EXISTS idx_resources_created_at_id ON resources(created_at DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_resources_download_count_id ON resources(download_count DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_resources_title ON resources(title, id);
+      CREATE INDEX IF NOT EXISTS idx_resources_uploaded_by ON resources(uploaded_by, status);
+      CREATE INDEX IF NOT EXISTS idx_resources_rating ON resources((COALESCE(rating_average, 0)), id);
+      CREATE INDEX IF NOT EXISTS idx_resources_search ON resources USING GIN (${searchVectorSql()});
       
       -- Resource files indexes
       CREATE INDEX IF NOT EXISTS idx_resource_files_resource_id ON resource_files(resource_id);
@@ -153,10 +658,74 @@ const createTables = async () => {
       CREATE INDEX IF NOT EXISTS idx_downloads_user_id ON downloads(user_id);
       CREATE INDEX IF NOT EXISTS idx_downloads_resource_id ON downloads(resource_id);
       CREATE INDEX IF NOT EXISTS idx_downloads_downloaded_at ON downloads(downloaded_at DESC);
+
+      -- Refresh tokens indexes
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+      -- User sessions indexes
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, last_seen_at DESC);
+
+      -- Password reset tokens indexes
+      CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+      -- Email verification tokens indexes
+      CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id, created_at DESC);
+
+      -- Role applications indexes (one pending application per user)
+      CREATE INDEX IF NOT EXISTS idx_role_applications_status ON role_applications(status, created_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_role_applications_one_pending ON role_applications(user_id) WHERE status = 'pending';
+
+      -- Login protection indexes
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_created ON login_attempts(ip_address, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email_created ON login_attempts(email, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_account_lockouts_created_at ON account_lockouts(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_account_lockouts_ip ON account_lockouts(ip_address, locked_until);
+
+      -- Backup codes indexes
+      CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user_id ON user_backup_codes(user_id);
+
+      -- Phone OTPs indexes
+      CREATE INDEX IF NOT EXISTS idx_phone_otps_phone_created ON phone_otps(phone_number, created_at DESC);
+
+      -- API keys indexes
+      CREATE INDEX IF NOT EXISTS idx_api_keys_owner_id ON api_keys(owner_id);
+
+      -- Resource revisions indexes
+      CREATE INDEX IF NOT EXISTS idx_resource_revisions_author_id ON resource_revisions(author_id);
+
+      -- Resource reviews indexes
+      CREATE INDEX IF NOT EXISTS idx_resource_reviews_resource_created ON resource_reviews(resource_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_resource_reviews_status_created ON resource_reviews(status, created_at DESC);
+
+      -- Bookmarks and collections indexes
+      CREATE INDEX IF NOT EXISTS idx_bookmarks_user_created ON bookmarks(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_collections_user_position ON collections(user_id, position);
+      CREATE INDEX IF NOT EXISTS idx_collection_items_collection_position ON collection_items(collection_id, position);
+
+      -- Curriculum indexes
+      CREATE INDEX IF NOT EXISTS idx_curriculum_nodes_parent_id ON curriculum_nodes(parent_id, position);
+      CREATE INDEX IF NOT EXISTS idx_curriculum_nodes_grade_type ON curriculum_nodes(grade, node_type);
+      CREATE INDEX IF NOT EXISTS idx_resource_curriculum_nodes_node_id ON resource_curriculum_nodes(node_id);
+
+      -- Recommendations indexes
+      CREATE INDEX IF NOT EXISTS idx_related_resources_resource_score ON related_resources(resource_id, score DESC);
+      CREATE INDEX IF NOT EXISTS idx_user_recommendations_user_score ON user_recommendations(user_id, score DESC);
+      CREATE INDEX IF NOT EXISTS idx_downloads_user_resource ON downloads(user_id, resource_id);
+
+      -- Resource imports indexes
+      CREATE INDEX IF NOT EXISTS idx_resource_imports_created_at ON resource_imports(created_at DESC);
+
+      -- Resource bundles indexes
+      CREATE INDEX IF NOT EXISTS idx_resource_bundle_items_bundle_position ON resource_bundle_items(bundle_id, position);
+      CREATE INDEX IF NOT EXISTS idx_resource_bundle_items_resource_id ON resource_bundle_items(resource_id);
+
+      -- Password history indexes
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_created ON password_history(user_id, created_at DESC);
     `);
 
     console.log('✅ Database migration completed successfully!');
-    console.log('📊 Created tables: users, resources, resource_files, subscriptions, payments, downloads');
+    console.log('📊 Created tables: roles, permissions, role_permissions, users, resources, resource_files, subscriptions, payments, downloads, user_sessions, refresh_tokens, password_reset_tokens, email_verification_tokens, role_applications, login_attempts, account_lockouts, user_backup_codes, phone_otps, api_keys, password_history, resource_revisions, resource_reviews, bookmarks, collections, collection_items, curriculum_nodes, resource_curriculum_nodes, subjects, related_resources, user_recommendations, resource_bundles, resource_bundle_items, resource_imports');
     console.log('🔍 Created performance indexes');
 
   } catch (error) {
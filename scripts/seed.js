@@ -14,24 +14,24 @@ const seedDatabase = async () => {
     // Create admin user
     const adminPassword = await bcrypt.hash('admin123', 12);
     await pool.query(`
-      INSERT INTO users (email, password_hash, full_name, role, subscription_status)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO users (email, password_hash, full_name, role, subscription_status, email_verified_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
       ON CONFLICT (email) DO NOTHING
     `, ['admin@elimufiti.com', adminPassword, 'System Administrator', 'admin', 'active']);
 
     // Create staff user
     const staffPassword = await bcrypt.hash('staff123', 12);
     await pool.query(`
-      INSERT INTO users (email, password_hash, full_name, role, school_name, subscription_status)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO users (email, password_hash, full_name, role, school_name, subscription_status, email_verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
       ON CONFLICT (email) DO NOTHING
     `, ['staff@elimufiti.com', staffPassword, 'Grace Wanjiku', 'staff', 'Nairobi Primary School', 'active']);
 
     // Create student user
     const studentPassword = await bcrypt.hash('student123', 12);
     await pool.query(`
-      INSERT INTO users (email, password_hash, full_name, role, school_name, subscription_status)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO users (email, password_hash, full_name, role, school_name, subscription_status, email_verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
       ON CONFLICT (email) DO NOTHING
     `, ['student@elimufiti.com', studentPassword, 'John Mwangi', 'student', 'Mombasa Secondary School', 'inactive']);
 
@@ -50,7 +50,7 @@ const seedDatabase = async () => {
         {
           title: 'Grade 5 Mathematics - Fractions and Decimals',
           description: 'Comprehensive lesson plan covering fractions and decimals with practical examples and exercises.',
-          subject: 'Mathematics',
+          subject: 'mathematics',
           grade: 'grade5',
           year: 2025,
           term: '1',
@@ -60,7 +60,7 @@ const seedDatabase = async () => {
         {
           title: 'Grade 3 English - Reading Comprehension Assessment',
           description: 'Complete assessment package with question paper, marking scheme, and answer sheet.',
-          subject: 'English',
+          subject: 'english',
           grade: 'grade3',
           year: 2025,
           term: '1',
@@ -70,7 +70,7 @@ const seedDatabase = async () => {
         {
           title: 'Grade 7 Science - The Solar System',
           description: 'Interactive lesson on planets, stars, and space exploration with visual aids.',
-          subject: 'Science',
+          subject: 'integrated_science',
           grade: 'grade7',
           year: 2025,
           term: '1',
@@ -96,16 +96,20 @@ const seedDatabase = async () => {
           staffId
         ]);
 
-        // Add sample files for each resource
+        // Add sample files for each resource. Only the records are created; the
+        // R2 objects under samples/ have to be uploaded separately.
+        const fileName = `${resource.title.toLowerCase().replace(/\s+/g, '_')}.pdf`;
         await pool.query(`
-          INSERT INTO resource_files (resource_id, file_name, file_url, file_size, file_type)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO resource_files (resource_id, file_name, file_url, file_size, file_type, mime_type, r2_key)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
         `, [
           resourceResult.rows[0].id,
-          `${resource.title.toLowerCase().replace(/\s+/g, '_')}.pdf`,
+          fileName,
           'https://example.com/sample-file.pdf',
           1024000,
-          'main_file'
+          'main_file',
+          'application/pdf',
+          `samples/${fileName}`
         ]);
       }
 
@@ -7,6 +7,9 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const db = require('./config/database');
+const { checkMailDriver } = require('./services/mailer');
+const { checkSmsDriver } = require('./services/sms');
+const { failInterruptedImports } = require('./services/resourceImports');
 
 
 const authRoutes = require('./routes/auth');
@@ -15,10 +18,38 @@ const resourceRoutes = require('./routes/resources');
 const subscriptionRoutes = require('./routes/subscriptions');
 const paymentRoutes = require('./routes/payments');
 const uploadRoutes = require('./routes/uploads');
+const roleApplicationRoutes = require('./routes/roleApplications');
+const apiKeyRoutes = require('./routes/apiKeys');
+const roleRoutes = require('./routes/roles');
+const reviewRoutes = require('./routes/reviews');
+const collectionRoutes = require('./routes/collections');
+const curriculumRoutes = require('./routes/curriculum');
+const subjectRoutes = require('./routes/subjects');
+const bundleRoutes = require('./routes/bundles');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer or reverse proxy, req.ip must come from X-Forwarded-For
+// or every client shares the proxy's address (and its login lockouts).
+// TRUST_PROXY takes a hop count, true, or addresses/subnets such as "loopback".
+const trustProxy = process.env.TRUST_PROXY;
+if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+}
+
+// Fail fast on a missing or development-only mail/SMS driver
+try {
+  checkMailDriver();
+  checkSmsDriver();
+} catch (err) {
+  console.error('❌ Invalid configuration:', err.message);
+  process.exit(1);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -56,11 +87,20 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users', collectionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/resources', resourceRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/role-applications', roleApplicationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/curriculum', curriculumRoutes);
+app.use('/api/subjects', subjectRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -81,18 +121,30 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-// Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 Elimufiti API server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-
-  try {
-    const result = await db.query('SELECT NOW()');
-    console.log('✅ PostgreSQL connected! Current time:', result.rows[0].now);
-  } catch (err) {
-    console.error('❌ Failed to connect to PostgreSQL:', err);
-    process.exit(1); // optional: stop the server if DB fails
-  }
-});
\ No newline at end of file
+// Start server when run directly; tests load the app without listening
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`🚀 Elimufiti API server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+    console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+
+    try {
+      const result = await db.query('SELECT NOW()');
+      console.log('✅ PostgreSQL connected! Current time:', result.rows[0].now);
+    } catch (err) {
+      console.error('❌ Failed to connect to PostgreSQL:', err);
+      process.exit(1); // optional: stop the server if DB fails
+    }
+
+    try {
+      const interrupted = await failInterruptedImports();
+      if (interrupted > 0) {
+        console.log(`⚠️  Marked ${interrupted} interrupted resource imports as failed`);
+      }
+    } catch (err) {
+      console.error('Fail interrupted imports error:', err);
+    }
+  });
+}
+
+module.exports = app;
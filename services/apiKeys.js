@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { hasPermission } = require('./permissions');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = [
+  'resources:read',
+  'resources:write',
+  'downloads:read',
+  'downloads:write'
+];
+
+// Keys look like efk_<8 hex prefix>_<secret>. The prefix is stored in clear
+// for lookup and display; the full key is only stored as a SHA-256 hash.
+const KEY_PATTERN = /^efk_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith('efk_');
+
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `efk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { key, prefix, hash: hashApiKey(key) };
+};
+
+// Holders of api_key.manage.any and owners of an active Institution
+// subscription may use API keys
+const canManageApiKeys = async (user) => {
+  if (await hasPermission(user, 'api_key.manage.any')) {
+    return true;
+  }
+
+  const result = await db.query(`
+    SELECT 1 FROM subscriptions
+    WHERE user_id = $1 AND plan = 'institution' AND status = 'active'
+      AND (end_date IS NULL OR end_date > NOW())
+    LIMIT 1
+  `, [user.id]);
+
+  return result.rows.length > 0;
+};
+
+// Resolve a presented key to { apiKey, user }, or null when it is malformed,
+// unknown, revoked, expired, or its owner may no longer use API keys
+const authenticateApiKey = async (key, ip) => {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT * FROM api_keys
+    WHERE prefix = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `, [match[1]]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const apiKey = result.rows[0];
+
+  const expected = Buffer.from(apiKey.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const userResult = await db.query(
+    'SELECT id, email, full_name, role, subscription_status, token_version, email_verified_at, totp_enabled_at FROM users WHERE id = $1',
+    [apiKey.owner_id]
+  );
+
+  if (userResult.rows.length === 0 || !(await canManageApiKeys(userResult.rows[0]))) {
+    return null;
+  }
+
+  // Last-used tracking, at most once a minute per key
+  await db.query(`
+    UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $1
+    WHERE id = $2 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+  `, [ip, apiKey.id]);
+
+  return { apiKey, user: userResult.rows[0] };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  generateApiKey,
+  canManageApiKeys,
+  authenticateApiKey
+};
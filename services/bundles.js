@@ -0,0 +1,154 @@
+const db = require('../config/database');
+
+// What a resource is within its bundle. Items other than question papers can
+// say which item they're for, e.g. the marking scheme for a question paper.
+const BUNDLE_ITEM_ROLES = ['question_paper', 'marking_scheme', 'answer_sheet', 'rubric', 'supplementary'];
+
+// Resource fields shown for bundle items
+const BUNDLE_ITEM_SELECT = `
+  SELECT
+    bi.bundle_id, bi.role, bi.for_resource_id, bi.position,
+    r.id, r.title, r.subject, r.grade, r.year, r.term, r.resource_type, r.is_premium, r.status
+  FROM resource_bundle_items bi
+  JOIN resources r ON bi.resource_id = r.id
+`;
+
+// Whether a premium bundle includes the resource aliased `alias`
+const premiumViaBundleSql = (alias) => `EXISTS (
+  SELECT 1 FROM resource_bundle_items pbi
+  JOIN resource_bundles pb ON pbi.bundle_id = pb.id
+  WHERE pbi.resource_id = ${alias}.id AND pb.is_premium
+)`;
+
+// The resource's own premium flag or one inherited from a bundle
+const effectivePremiumSql = (alias) => `(${alias}.is_premium OR ${premiumViaBundleSql(alias)})`;
+
+// "marking_scheme_for" etc., or null for items that aren't for another item
+const relationshipOf = (item) => (item.for_resource_id ? `${item.role}_for` : null);
+
+const formatItem = (item, titles) => ({
+  ...item,
+  relationship: relationshipOf(item),
+  for_resource: item.for_resource_id
+    ? { id: item.for_resource_id, title: titles.get(item.for_resource_id) || null }
+    : null
+});
+
+// Problems with a bundle's item list; empty when valid. Items may only be for
+// another item of the same bundle, and every resource must be live or pending.
+const validateBundleItems = async (items) => {
+  const problems = [];
+  const resourceIds = items.map((item) => item.resource_id);
+  const ids = new Set(resourceIds);
+
+  if (ids.size !== resourceIds.length) {
+    problems.push('A resource can only appear once in a bundle');
+  }
+
+  for (const item of items) {
+    if (!item.for_resource_id) {
+      continue;
+    }
+
+    if (item.for_resource_id === item.resource_id) {
+      problems.push(`Resource ${item.resource_id} cannot be for itself`);
+    } else if (!ids.has(item.for_resource_id)) {
+      problems.push(`Resource ${item.resource_id} is for ${item.for_resource_id}, which isn't in the bundle`);
+    }
+  }
+
+  if (ids.size > 0) {
+    const result = await db.query(
+      "SELECT id FROM resources WHERE id = ANY($1) AND status IN ('active', 'pending')",
+      [[...ids]]
+    );
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = [...ids].filter((id) => !found.has(id));
+
+    if (missing.length > 0) {
+      problems.push(`Resources not found: ${missing.join(', ')}`);
+    }
+  }
+
+  return problems;
+};
+
+// Replace a bundle's items, keeping the given order
+const setBundleItems = async (client, bundleId, items) => {
+  await client.query('DELETE FROM resource_bundle_items WHERE bundle_id = $1', [bundleId]);
+
+  for (const [position, item] of items.entries()) {
+    await client.query(`
+      INSERT INTO resource_bundle_items (bundle_id, resource_id, role, for_resource_id, position)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [bundleId, item.resource_id, item.role, item.for_resource_id || null, position]);
+  }
+};
+
+// A bundle's items in order. Unpublished resources are left out unless
+// `includeUnpublished` (for bundle managers).
+const getBundleItems = async (bundleId, { includeUnpublished = false } = {}) => {
+  const result = await db.query(`
+    ${BUNDLE_ITEM_SELECT}
+    WHERE bi.bundle_id = $1 AND (r.status = 'active' OR $2)
+    ORDER BY bi.position
+  `, [bundleId, includeUnpublished]);
+
+  const titles = new Map(result.rows.map((item) => [item.id, item.title]));
+
+  return result.rows.map((item) => formatItem(item, titles));
+};
+
+// Bundles a published resource belongs to, each with its other published items
+// and how they relate to this resource
+const getResourceBundles = async (resourceId) => {
+  const bundles = await db.query(`
+    SELECT b.id, b.title, b.description, b.is_premium, bi.role
+    FROM resource_bundle_items bi
+    JOIN resource_bundles b ON bi.bundle_id = b.id
+    WHERE bi.resource_id = $1
+    ORDER BY b.created_at
+  `, [resourceId]);
+
+  if (bundles.rows.length === 0) {
+    return [];
+  }
+
+  const items = await db.query(`
+    ${BUNDLE_ITEM_SELECT}
+    WHERE bi.bundle_id = ANY($1) AND r.status = 'active'
+    ORDER BY bi.position
+  `, [bundles.rows.map((bundle) => bundle.id)]);
+
+  const titles = new Map(items.rows.map((item) => [item.id, item.title]));
+
+  return bundles.rows.map((bundle) => ({
+    ...bundle,
+    items: items.rows
+      .filter((item) => item.bundle_id === bundle.id && item.id !== resourceId)
+      .map((item) => formatItem(item, titles))
+  }));
+};
+
+// Whether a premium bundle includes the resource, which makes it premium too
+const isInPremiumBundle = async (resourceId) => {
+  const result = await db.query(`
+    SELECT 1 FROM resource_bundle_items bi
+    JOIN resource_bundles b ON bi.bundle_id = b.id
+    WHERE bi.resource_id = $1 AND b.is_premium
+    LIMIT 1
+  `, [resourceId]);
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  BUNDLE_ITEM_ROLES,
+  premiumViaBundleSql,
+  effectivePremiumSql,
+  validateBundleItems,
+  setBundleItems,
+  getBundleItems,
+  getResourceBundles,
+  isInPremiumBundle
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+const CURRICULUM_DATA_FILE = process.env.CURRICULUM_DATA_FILE ||
+  path.join(__dirname, '..', 'data', 'cbc-curriculum.json');
+
+// Depth order of the CBC tree: learning area > strand > sub-strand > outcome
+const NODE_TYPES = ['learning_area', 'strand', 'sub_strand', 'learning_outcome'];
+
+// Flatten the data file into nodes in parent-before-child order. Each node gets
+// a stable code such as grade4/mathematics/numbers/fractions; outcomes are
+// numbered by their position, so new outcomes should be appended.
+const loadCurriculumNodes = () => {
+  const data = JSON.parse(fs.readFileSync(CURRICULUM_DATA_FILE, 'utf8'));
+  const nodes = [];
+
+  for (const [grade, learningAreas] of Object.entries(data)) {
+    learningAreas.forEach((area, areaIndex) => {
+      const areaCode = `${grade}/${area.code}`;
+      nodes.push({ code: areaCode, parentCode: null, nodeType: 'learning_area', grade, name: area.name, position: areaIndex });
+
+      area.strands.forEach((strand, strandIndex) => {
+        const strandCode = `${areaCode}/${strand.code}`;
+        nodes.push({ code: strandCode, parentCode: areaCode, nodeType: 'strand', grade, name: strand.name, position: strandIndex });
+
+        strand.sub_strands.forEach((subStrand, subStrandIndex) => {
+          const subStrandCode = `${strandCode}/${subStrand.code}`;
+          nodes.push({ code: subStrandCode, parentCode: strandCode, nodeType: 'sub_strand', grade, name: subStrand.name, position: subStrandIndex });
+
+          (subStrand.outcomes || []).forEach((outcome, outcomeIndex) => {
+            nodes.push({
+              code: `${subStrandCode}/${outcomeIndex + 1}`,
+              parentCode: subStrandCode,
+              nodeType: 'learning_outcome',
+              grade,
+              name: outcome,
+              position: outcomeIndex
+            });
+          });
+        });
+      });
+    });
+  }
+
+  return nodes;
+};
+
+// Insert or update every node from the data file. Nodes no longer in the file
+// are kept so existing resource links survive. Returns the number of nodes.
+const syncCurriculum = async (runner) => {
+  const nodes = loadCurriculumNodes();
+  const ids = new Map();
+
+  for (const node of nodes) {
+    const result = await runner.query(`
+      INSERT INTO curriculum_nodes (code, parent_id, node_type, grade, name, position)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (code) DO UPDATE SET
+        parent_id = EXCLUDED.parent_id,
+        node_type = EXCLUDED.node_type,
+        grade = EXCLUDED.grade,
+        name = EXCLUDED.name,
+        position = EXCLUDED.position
+      RETURNING id
+    `, [node.code, node.parentCode ? ids.get(node.parentCode) : null, node.nodeType, node.grade, node.name, node.position]);
+
+    ids.set(node.code, result.rows[0].id);
+  }
+
+  return nodes.length;
+};
+
+// SQL for the ids of node $n and everything beneath it
+const subtreeSql = (param) => `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM curriculum_nodes WHERE id = ${param}
+    UNION ALL
+    SELECT child.id FROM curriculum_nodes child JOIN subtree ON child.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+`;
+
+// Accept node ids as an array or a comma-separated string (multipart forms)
+const parseNodeIds = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+
+  return [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Problems with linking `nodeIds` to a resource for `grade`; empty when valid
+const validateNodeIds = async (nodeIds, grade) => {
+  const malformed = nodeIds.filter((id) => !UUID_PATTERN.test(id));
+  if (malformed.length > 0) {
+    return [`Invalid curriculum node ids: ${malformed.join(', ')}`];
+  }
+
+  if (nodeIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    'SELECT id, grade FROM curriculum_nodes WHERE id = ANY($1)',
+    [nodeIds]
+  );
+  const found = new Map(result.rows.map((row) => [row.id, row.grade]));
+
+  const problems = [];
+  const unknown = nodeIds.filter((id) => !found.has(id));
+  if (unknown.length > 0) {
+    problems.push(`Unknown curriculum nodes: ${unknown.join(', ')}`);
+  }
+
+  const otherGrade = nodeIds.filter((id) => found.has(id) && found.get(id) !== grade);
+  if (otherGrade.length > 0) {
+    problems.push(`Curriculum nodes must belong to ${grade}: ${otherGrade.join(', ')}`);
+  }
+
+  return problems;
+};
+
+// Replace a resource's curriculum links
+const setResourceCurriculum = async (client, resourceId, nodeIds) => {
+  await client.query('DELETE FROM resource_curriculum_nodes WHERE resource_id = $1', [resourceId]);
+
+  for (const nodeId of nodeIds) {
+    await client.query(
+      'INSERT INTO resource_curriculum_nodes (resource_id, node_id) VALUES ($1, $2)',
+      [resourceId, nodeId]
+    );
+  }
+};
+
+// Nodes linked to a resource, each with its path from the learning area down,
+// e.g. label "Mathematics > Numbers > Fractions"
+const getResourceCurriculum = async (resourceId) => {
+  const result = await db.query(`
+    WITH RECURSIVE ancestry AS (
+      SELECT cn.id as linked_id, cn.id, cn.parent_id, cn.name, cn.node_type, 0 as depth
+      FROM resource_curriculum_nodes rcn
+      JOIN curriculum_nodes cn ON rcn.node_id = cn.id
+      WHERE rcn.resource_id = $1
+      UNION ALL
+      SELECT ancestry.linked_id, parent.id, parent.parent_id, parent.name, parent.node_type, ancestry.depth + 1
+      FROM ancestry
+      JOIN curriculum_nodes parent ON ancestry.parent_id = parent.id
+    )
+    SELECT
+      cn.id, cn.code, cn.node_type, cn.grade, cn.name,
+      json_agg(json_build_object('id', ancestry.id, 'name', ancestry.name, 'node_type', ancestry.node_type)
+        ORDER BY ancestry.depth DESC) as path
+    FROM ancestry
+    JOIN curriculum_nodes cn ON ancestry.linked_id = cn.id
+    GROUP BY cn.id
+    ORDER BY cn.code
+  `, [resourceId]);
+
+  return result.rows.map((node) => ({
+    ...node,
+    label: node.path.map((step) => step.name).join(' > ')
+  }));
+};
+
+module.exports = {
+  NODE_TYPES,
+  loadCurriculumNodes,
+  syncCurriculum,
+  subtreeSql,
+  parseNodeIds,
+  validateNodeIds,
+  setResourceCurriculum,
+  getResourceCurriculum
+};
@@ -0,0 +1,50 @@
+const db = require('../config/database');
+const { SUBSCRIPTION_PLANS } = require('../config/plans');
+
+// Id of the plan the user currently subscribes to, or 'free'
+const getActivePlan = async (userId) => {
+  const result = await db.query(`
+    SELECT plan FROM subscriptions
+    WHERE user_id = $1 AND status = 'active'
+      AND (end_date IS NULL OR end_date > NOW())
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows.length > 0 ? result.rows[0].plan : 'free';
+};
+
+// Whether the user's plan includes `entitlement` (see config/plans.js)
+const hasEntitlement = async (user, entitlement) => {
+  const planId = await getActivePlan(user.id);
+  const plan = SUBSCRIPTION_PLANS.find((candidate) => candidate.id === planId);
+
+  return Boolean(plan && plan.entitlements.includes(entitlement));
+};
+
+// Middleware: 403 unless the user's plan includes `entitlement`
+const requireEntitlement = (entitlement, message) => async (req, res, next) => {
+  try {
+    if (!(await hasEntitlement(req.user, entitlement))) {
+      return res.status(403).json({
+        success: false,
+        message,
+        upgrade_required: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Entitlement check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check subscription'
+    });
+  }
+};
+
+module.exports = {
+  getActivePlan,
+  hasEntitlement,
+  requireEntitlement
+};
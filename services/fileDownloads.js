@@ -0,0 +1,21 @@
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { r2 } = require('../config/r2');
+
+// Seconds a download link stays valid
+const DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL) || 300;
+
+// Short-lived R2 GET URL for a resource file that saves it under its own name
+const createDownloadUrl = (file) => {
+  return getSignedUrl(r2, new GetObjectCommand({
+    Bucket: file.r2_bucket || process.env.R2_BUCKET_NAME,
+    Key: file.r2_key,
+    ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(file.file_name)}`,
+    ResponseContentType: file.mime_type || undefined
+  }), { expiresIn: DOWNLOAD_URL_TTL });
+};
+
+module.exports = {
+  DOWNLOAD_URL_TTL,
+  createDownloadUrl
+};
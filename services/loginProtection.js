@@ -0,0 +1,224 @@
+const db = require('../config/database');
+
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 2;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+// 0 turns the per-IP lock off, e.g. when a whole school shares one address
+const LOGIN_IP_MAX_FAILED_ATTEMPTS = process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS === '0'
+  ? 0
+  : parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+// Delay doubles with each failure past the threshold: 1s, 2s, 4s ... capped
+const requiredDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < LOGIN_DELAY_AFTER_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(2 ** (failedAttempts - LOGIN_DELAY_AFTER_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+};
+
+// Failed-login state for an email with no account, in the shape of the users
+// columns. It's derived from the email's login attempts so unknown emails are
+// delayed and locked exactly like real accounts and can't be told apart.
+const getUnknownEmailState = async (email) => {
+  const result = await db.query(`
+    WITH last_lock AS (
+      SELECT created_at, locked_until FROM account_lockouts
+      WHERE scope = 'account' AND user_id IS NULL AND email = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    )
+    SELECT
+      (SELECT locked_until FROM last_lock) as locked_until,
+      COUNT(*)::int as failed_login_attempts,
+      MAX(la.created_at) as last_failed_login_at
+    FROM login_attempts la
+    WHERE la.email = $1 AND la.user_id IS NULL AND la.success = false
+      AND la.created_at > COALESCE((SELECT created_at FROM last_lock), '-infinity')
+  `, [email]);
+
+  return result.rows[0];
+};
+
+// Decide whether a login attempt may proceed. `user` is the users row for
+// the submitted email, or undefined when no such account exists.
+const checkLoginAllowed = async (user, ip, email) => {
+  const ipLockResult = await db.query(`
+    SELECT locked_until FROM account_lockouts
+    WHERE scope = 'ip' AND ip_address = $1 AND locked_until > NOW() AND unlocked_at IS NULL
+    ORDER BY locked_until DESC
+    LIMIT 1
+  `, [ip]);
+
+  if (ipLockResult.rows.length > 0) {
+    return {
+      allowed: false,
+      status: 429,
+      message: 'Too many failed login attempts from this network. Please try again later',
+      retryAfter: secondsUntil(ipLockResult.rows[0].locked_until)
+    };
+  }
+
+  if (!user) {
+    if (!email) {
+      return { allowed: true };
+    }
+    user = await getUnknownEmailState(email);
+  }
+
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    return {
+      allowed: false,
+      status: 423,
+      message: 'Account temporarily locked due to too many failed login attempts',
+      retryAfter: secondsUntil(user.locked_until)
+    };
+  }
+
+  const delay = requiredDelaySeconds(user.failed_login_attempts || 0);
+
+  if (delay > 0 && user.last_failed_login_at) {
+    const nextAllowedAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+
+    if (nextAllowedAt > Date.now()) {
+      return {
+        allowed: false,
+        status: 429,
+        message: 'Too many failed login attempts. Please wait before trying again',
+        retryAfter: secondsUntil(nextAllowedAt)
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+const recordLoginFailure = async (email, user, ip) => {
+  await db.query(`
+    INSERT INTO login_attempts (email, user_id, ip_address, success)
+    VALUES ($1, $2, $3, false)
+  `, [email, user ? user.id : null, ip]);
+
+  if (user) {
+    const result = await db.query(`
+      UPDATE users
+      SET failed_login_attempts = failed_login_attempts + 1, last_failed_login_at = NOW()
+      WHERE id = $1
+      RETURNING failed_login_attempts
+    `, [user.id]);
+
+    const failedAttempts = result.rows[0].failed_login_attempts;
+
+    if (failedAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      const lockResult = await db.query(`
+        UPDATE users
+        SET locked_until = NOW() + make_interval(mins => $1), failed_login_attempts = 0
+        WHERE id = $2
+        RETURNING locked_until
+      `, [LOGIN_LOCKOUT_MINUTES, user.id]);
+
+      await db.query(`
+        INSERT INTO account_lockouts (scope, user_id, email, ip_address, failed_attempts, locked_until)
+        VALUES ('account', $1, $2, $3, $4, $5)
+      `, [user.id, email, ip, failedAttempts, lockResult.rows[0].locked_until]);
+
+      console.warn('Account locked after failed logins:', email);
+    }
+  } else if (email) {
+    // Lock unknown emails too, so a lock doesn't reveal that an account exists
+    const { failed_login_attempts: failedAttempts } = await getUnknownEmailState(email);
+
+    if (failedAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      await db.query(`
+        INSERT INTO account_lockouts (scope, email, ip_address, failed_attempts, locked_until)
+        VALUES ('account', $1, $2, $3, NOW() + make_interval(mins => $4))
+      `, [email, ip, failedAttempts, LOGIN_LOCKOUT_MINUTES]);
+    }
+  }
+
+  if (LOGIN_IP_MAX_FAILED_ATTEMPTS === 0) {
+    return;
+  }
+
+  // Failures before an admin last lifted the IP's lock don't count again
+  const ipResult = await db.query(`
+    SELECT COUNT(*) FROM login_attempts
+    WHERE ip_address = $1 AND success = false
+      AND created_at > NOW() - make_interval(mins => $2)
+      AND created_at > COALESCE((
+        SELECT MAX(unlocked_at) FROM account_lockouts WHERE scope = 'ip' AND ip_address = $1
+      ), '-infinity')
+  `, [ip, LOGIN_IP_WINDOW_MINUTES]);
+
+  const ipFailures = parseInt(ipResult.rows[0].count);
+
+  if (ipFailures >= LOGIN_IP_MAX_FAILED_ATTEMPTS) {
+    await db.query(`
+      INSERT INTO account_lockouts (scope, ip_address, email, failed_attempts, locked_until)
+      SELECT 'ip', $1, $2, $3, NOW() + make_interval(mins => $4)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM account_lockouts
+        WHERE scope = 'ip' AND ip_address = $1 AND locked_until > NOW() AND unlocked_at IS NULL
+      )
+    `, [ip, email, ipFailures, LOGIN_LOCKOUT_MINUTES]);
+  }
+};
+
+const recordLoginSuccess = async (email, user, ip) => {
+  await db.query(`
+    INSERT INTO login_attempts (email, user_id, ip_address, success)
+    VALUES ($1, $2, $3, true)
+  `, [email, user.id, ip]);
+
+  await db.query(`
+    UPDATE users
+    SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = $1
+  `, [user.id]);
+};
+
+// Admin unlock: clears the account lock and closes its open lockout events
+const unlockAccount = async (userId, adminId) => {
+  const result = await db.query(`
+    UPDATE users
+    SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING id, email, full_name
+  `, [userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await db.query(`
+    UPDATE account_lockouts
+    SET unlocked_by = $1, unlocked_at = NOW()
+    WHERE scope = 'account' AND user_id = $2 AND unlocked_at IS NULL AND locked_until > NOW()
+  `, [adminId, userId]);
+
+  return result.rows[0];
+};
+
+// Admin unlock of an IP address: closes its open IP lockouts. Returns the
+// number of lockouts lifted.
+const unlockIp = async (ip, adminId) => {
+  const result = await db.query(`
+    UPDATE account_lockouts
+    SET unlocked_by = $1, unlocked_at = NOW()
+    WHERE scope = 'ip' AND ip_address = $2 AND unlocked_at IS NULL AND locked_until > NOW()
+  `, [adminId, ip]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  unlockIp
+};
@@ -0,0 +1,94 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// SMTP connection shared by every message, created on first use
+let smtpTransport = null;
+
+const getSmtpTransport = () => {
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return smtpTransport;
+};
+
+// Mail drivers receive a { from, to, subject, text, html } message.
+// Select one with MAIL_DRIVER; register others (SES, ...) with registerDriver.
+const drivers = {
+  // Note messages in the server log (default for development). Bodies carry
+  // reset and verification links, so they're never logged; use the outbox
+  // driver to read them.
+  console: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}`);
+  },
+
+  // Write each message as a JSON file (local development and tests)
+  outbox: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'storage', 'outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Any SMTP server or provider relay, configured with SMTP_* (production)
+  smtp: async (message) => {
+    await getSmtpTransport().sendMail(message);
+  }
+};
+
+const registerDriver = (name, send) => {
+  drivers[name] = send;
+};
+
+// The configured driver. Production needs a real transport: the console and
+// outbox drivers would leave links to other people's accounts on the server.
+const getDriver = () => {
+  const driverName = process.env.MAIL_DRIVER || 'console';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown mail driver: ${driverName}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && ['console', 'outbox'].includes(driverName)) {
+    throw new Error(`MAIL_DRIVER=${driverName} can't be used in production; use MAIL_DRIVER=smtp`);
+  }
+
+  if (driverName === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('MAIL_DRIVER=smtp needs SMTP_HOST');
+  }
+
+  return driver;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const driver = getDriver();
+
+  await driver({
+    from: process.env.MAIL_FROM || 'Elimufiti <no-reply@elimufiti.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  checkMailDriver: getDriver,
+  registerDriver
+};
@@ -0,0 +1,62 @@
+const db = require('../config/database');
+const { hasPermission } = require('./permissions');
+const { sendMail } = require('./mailer');
+
+// off: publish every upload immediately (default)
+// new_uploaders: hold uploads until the uploader has MODERATION_TRUSTED_AFTER
+//   published resources
+// all: hold every upload
+const RESOURCE_MODERATION = process.env.RESOURCE_MODERATION || 'off';
+const MODERATION_TRUSTED_AFTER = parseInt(process.env.MODERATION_TRUSTED_AFTER) || 3;
+
+// Status a new resource from `user` starts in. Moderators are never held.
+const initialResourceStatus = async (user) => {
+  if (RESOURCE_MODERATION === 'off' || (await hasPermission(user, 'resource.moderate'))) {
+    return 'active';
+  }
+
+  if (RESOURCE_MODERATION === 'all') {
+    return 'pending';
+  }
+
+  const result = await db.query(
+    "SELECT COUNT(*) FROM resources WHERE uploaded_by = $1 AND status = 'active'",
+    [user.id]
+  );
+
+  return parseInt(result.rows[0].count) >= MODERATION_TRUSTED_AFTER ? 'active' : 'pending';
+};
+
+// Let the uploader know the outcome of a review
+const notifyUploader = async (resource) => {
+  const uploaderResult = await db.query(
+    'SELECT email, full_name FROM users WHERE id = $1',
+    [resource.uploaded_by]
+  );
+
+  if (uploaderResult.rows.length === 0) {
+    return;
+  }
+
+  const uploader = uploaderResult.rows[0];
+  const approved = resource.status === 'active';
+
+  try {
+    await sendMail({
+      to: uploader.email,
+      subject: `"${resource.title}" was ${approved ? 'approved' : 'rejected'}`,
+      text: `Hi ${uploader.full_name},\n\n` +
+        (approved
+          ? `Your resource "${resource.title}" has been approved and is now published.`
+          : `Your resource "${resource.title}" was not approved for publishing.`) +
+        (resource.moderation_reason ? `\n\nReviewer note: ${resource.moderation_reason}` : '')
+    });
+  } catch (mailError) {
+    console.error('Moderation email error:', mailError);
+  }
+};
+
+module.exports = {
+  initialResourceStatus,
+  notifyUploader
+};
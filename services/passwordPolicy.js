@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_REQUIRE_MIXED_CASE = process.env.PASSWORD_REQUIRE_MIXED_CASE === 'true';
+const PASSWORD_REQUIRE_DIGIT = process.env.PASSWORD_REQUIRE_DIGIT !== 'false';
+const PASSWORD_REQUIRE_SYMBOL = process.env.PASSWORD_REQUIRE_SYMBOL === 'true';
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+const PASSWORD_DENYLIST_FILE = process.env.PASSWORD_DENYLIST_FILE ||
+  path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// bcrypt ignores everything past 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+const BCRYPT_ROUNDS = 12;
+
+const loadDenylist = () => {
+  const lines = fs.readFileSync(PASSWORD_DENYLIST_FILE, 'utf8').split('\n');
+
+  return new Set(
+    lines
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith('#'))
+  );
+};
+
+const denylist = loadDenylist();
+
+// "Password2024!" and "password" are the same guess for an attacker
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  const stem = lowered.replace(/[^a-z]+$/, '');
+
+  return denylist.has(lowered) || (stem.length >= 4 && denylist.has(stem));
+};
+
+// Returns a list of problems with `password`; empty when it meets the policy.
+// `user` ({ email, full_name }) is used to reject passwords built from them.
+const validatePassword = (password, user = {}) => {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    problems.push(`Password must be at most ${PASSWORD_MAX_LENGTH} bytes`);
+  }
+
+  if (PASSWORD_REQUIRE_MIXED_CASE && (!/[a-z]/.test(password) || !/[A-Z]/.test(password))) {
+    problems.push('Password must contain upper and lower case letters');
+  }
+
+  if (PASSWORD_REQUIRE_DIGIT && !/[0-9]/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+
+  if (PASSWORD_REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  if (isCommonPassword(password)) {
+    problems.push('Password is too common. Choose something harder to guess');
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [
+    user.email && user.email.split('@')[0],
+    ...(user.full_name ? user.full_name.split(/\s+/) : [])
+  ].filter((part) => part && part.length >= 3);
+
+  if (personal.some((part) => lowered.includes(part.toLowerCase()))) {
+    problems.push('Password must not contain your name or email');
+  }
+
+  return problems;
+};
+
+// express-validator custom validator for a password field. Personal details
+// come from the authenticated user or the request body (registration).
+const passwordPolicy = (value, { req }) => {
+  const problems = validatePassword(value, req.user || req.body);
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('. '));
+  }
+
+  return true;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// True when `password` matches the current hash or one of the last
+// PASSWORD_HISTORY_SIZE previous hashes
+const isPasswordReused = async (userId, password) => {
+  const result = await db.query(`
+    (SELECT password_hash FROM users WHERE id = $1)
+    UNION ALL
+    (SELECT password_hash FROM password_history
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2)
+  `, [userId, PASSWORD_HISTORY_SIZE]);
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Store a new password hash, moving the old one into the history.
+// `client` is a transaction client from db.transaction.
+const setPassword = async (client, userId, passwordHash) => {
+  await client.query(`
+    INSERT INTO password_history (user_id, password_hash)
+    SELECT id, password_hash FROM users WHERE id = $1
+  `, [userId]);
+
+  await client.query(
+    'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = NOW() WHERE id = $2',
+    [passwordHash, userId]
+  );
+
+  await client.query(`
+    DELETE FROM password_history
+    WHERE user_id = $1 AND id NOT IN (
+      SELECT id FROM password_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    )
+  `, [userId, PASSWORD_HISTORY_SIZE]);
+};
+
+module.exports = {
+  PASSWORD_HISTORY_SIZE,
+  validatePassword,
+  passwordPolicy,
+  hashPassword,
+  isPasswordReused,
+  setPassword
+};
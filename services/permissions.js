@@ -0,0 +1,47 @@
+const db = require('../config/database');
+
+// Role permissions are cached per process and reloaded after this many
+// seconds, or immediately after an edit through /api/roles
+const PERMISSION_CACHE_TTL_SECONDS = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS) || 60;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const loadRolePermissions = async () => {
+  const result = await db.query('SELECT role, permission FROM role_permissions');
+
+  const rolePermissions = new Map();
+  for (const row of result.rows) {
+    if (!rolePermissions.has(row.role)) {
+      rolePermissions.set(row.role, new Set());
+    }
+    rolePermissions.get(row.role).add(row.permission);
+  }
+
+  return rolePermissions;
+};
+
+// Set of permission names granted to a role
+const getRolePermissions = async (role) => {
+  if (!cache || Date.now() - cacheLoadedAt > PERMISSION_CACHE_TTL_SECONDS * 1000) {
+    cache = await loadRolePermissions();
+    cacheLoadedAt = Date.now();
+  }
+
+  return cache.get(role) || new Set();
+};
+
+const hasPermission = async (user, permission) => {
+  const permissions = await getRolePermissions(user.role);
+  return permissions.has(permission);
+};
+
+const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  invalidatePermissionCache
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { sendSms } = require('./sms');
+
+const PHONE_OTP_TTL_MINUTES = parseInt(process.env.PHONE_OTP_TTL_MINUTES) || 5;
+const PHONE_OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const PHONE_OTP_MAX_PER_HOUR = parseInt(process.env.PHONE_OTP_MAX_PER_HOUR) || 5;
+const PHONE_OTP_MAX_ATTEMPTS = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5;
+
+// Six-digit codes are keyed with the server secret so a leaked table
+// can't be brute-forced offline
+const hashCode = (phoneNumber, code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${phoneNumber}:${code}`)
+    .digest('hex');
+};
+
+const maskPhone = (phoneNumber) => `${phoneNumber.slice(0, 4)}****${phoneNumber.slice(-3)}`;
+
+// Send a one-time code. Returns { sent: true } or, when throttled,
+// { sent: false, message, retryAfter }. Without a userId (a login for a number
+// with no account) nothing is sent, but the request is recorded and throttled
+// the same way so the response doesn't reveal whether the number is linked.
+const requestOtp = async ({ phoneNumber, purpose, userId }) => {
+  const recentResult = await db.query(`
+    SELECT
+      COUNT(*) as sent_last_hour,
+      EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) as seconds_since_last
+    FROM phone_otps
+    WHERE phone_number = $1 AND created_at > NOW() - INTERVAL '1 hour'
+  `, [phoneNumber]);
+
+  const sentLastHour = parseInt(recentResult.rows[0].sent_last_hour);
+  const secondsSinceLast = recentResult.rows[0].seconds_since_last;
+
+  if (secondsSinceLast !== null && parseFloat(secondsSinceLast) < PHONE_OTP_RESEND_COOLDOWN_SECONDS) {
+    return {
+      sent: false,
+      message: 'Please wait before requesting another code',
+      retryAfter: Math.ceil(PHONE_OTP_RESEND_COOLDOWN_SECONDS - parseFloat(secondsSinceLast))
+    };
+  }
+
+  if (sentLastHour >= PHONE_OTP_MAX_PER_HOUR) {
+    return {
+      sent: false,
+      message: 'Too many codes requested. Please try again later',
+      retryAfter: 3600
+    };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  // Only the latest code for a phone and purpose stays valid
+  await db.query(`
+    UPDATE phone_otps SET consumed_at = NOW()
+    WHERE phone_number = $1 AND purpose = $2 AND consumed_at IS NULL
+  `, [phoneNumber, purpose]);
+
+  await db.query(`
+    INSERT INTO phone_otps (phone_number, user_id, purpose, code_hash, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+  `, [phoneNumber, userId, purpose, hashCode(phoneNumber, code), PHONE_OTP_TTL_MINUTES]);
+
+  if (!userId) {
+    return { sent: true };
+  }
+
+  await sendSms({
+    to: phoneNumber,
+    message: `Your Elimufiti code is ${code}. It expires in ${PHONE_OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+  });
+
+  return { sent: true };
+};
+
+// Check a code and consume it. Returns the phone_otps row, or null when the
+// code is wrong, expired, used up or out of attempts.
+const verifyOtp = async ({ phoneNumber, purpose, code, userId }) => {
+  const result = await db.query(`
+    SELECT * FROM phone_otps
+    WHERE phone_number = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [phoneNumber, purpose]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const otp = result.rows[0];
+
+  if (otp.attempts >= PHONE_OTP_MAX_ATTEMPTS || (userId && otp.user_id !== userId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(phoneNumber, String(code).trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await db.query('UPDATE phone_otps SET attempts = attempts + 1 WHERE id = $1', [otp.id]);
+    return null;
+  }
+
+  const consumed = await db.query(`
+    UPDATE phone_otps SET consumed_at = NOW()
+    WHERE id = $1 AND consumed_at IS NULL
+    RETURNING *
+  `, [otp.id]);
+
+  return consumed.rows[0] || null;
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+  maskPhone
+};
@@ -0,0 +1,195 @@
+const db = require('../config/database');
+
+// Related resources kept per resource and recommendations kept per user
+const RELATED_RESOURCES_LIMIT = parseInt(process.env.RELATED_RESOURCES_LIMIT) || 20;
+const USER_RECOMMENDATIONS_LIMIT = parseInt(process.env.USER_RECOMMENDATIONS_LIMIT) || 30;
+// Only downloads this recent count as signals
+const RECOMMENDATION_HISTORY_DAYS = parseInt(process.env.RECOMMENDATION_HISTORY_DAYS) || 365;
+
+// How much each signal adds to a related resource's score. Co-downloads grow
+// logarithmically so a handful of heavy users can't dominate.
+const RELATED_WEIGHTS = {
+  coDownload: 2,
+  sameStrand: 1.5,
+  sameGradeSubject: 1
+};
+
+// Resource columns returned with related resources and recommendations
+const RECOMMENDED_RESOURCE_COLUMNS = `
+  r.id, r.title, r.description, r.subject, r.grade, r.year, r.term, r.resource_type,
+  r.is_premium, r.download_count, r.rating_average, r.rating_count, r.created_at
+`;
+
+// Keeps two refreshes from running at once across servers and cron
+const REFRESH_LOCK_KEY = 72210021;
+
+// Curriculum strand of each resource link; links to a whole learning area
+// have no strand and are left out
+const RESOURCE_STRANDS_SQL = `
+  SELECT rcn.resource_id,
+    CASE cn.node_type
+      WHEN 'strand' THEN cn.id
+      WHEN 'sub_strand' THEN cn.parent_id
+      WHEN 'learning_outcome' THEN parent.parent_id
+    END as strand_id
+  FROM resource_curriculum_nodes rcn
+  JOIN curriculum_nodes cn ON rcn.node_id = cn.id
+  LEFT JOIN curriculum_nodes parent ON cn.parent_id = parent.id
+  WHERE cn.node_type <> 'learning_area'
+`;
+
+// Best related resources for one resource, combining users who downloaded both
+// with shared curriculum strands and the same grade and subject
+const rankRelatedResources = async (client, resource) => {
+  const result = await client.query(`
+    WITH co AS (
+      SELECT other.resource_id, COUNT(DISTINCT other.user_id) as co_downloads
+      FROM downloads mine
+      JOIN downloads other ON other.user_id = mine.user_id AND other.resource_id <> mine.resource_id
+      WHERE mine.resource_id = $1
+        AND mine.downloaded_at > NOW() - make_interval(days => $4)
+        AND other.downloaded_at > NOW() - make_interval(days => $4)
+      GROUP BY other.resource_id
+    ),
+    strands AS (${RESOURCE_STRANDS_SQL}),
+    shared AS (
+      SELECT DISTINCT theirs.resource_id
+      FROM strands mine
+      JOIN strands theirs ON theirs.strand_id = mine.strand_id AND theirs.resource_id <> mine.resource_id
+      WHERE mine.resource_id = $1
+    ),
+    candidates AS (
+      SELECT
+        r.id,
+        COALESCE(co.co_downloads, 0)::int as co_downloads,
+        shared.resource_id IS NOT NULL as same_strand,
+        (r.grade = $2 AND r.subject = $3) as same_grade_subject,
+        r.download_count
+      FROM resources r
+      LEFT JOIN co ON co.resource_id = r.id
+      LEFT JOIN shared ON shared.resource_id = r.id
+      WHERE r.status = 'active' AND r.id <> $1
+        AND (co.resource_id IS NOT NULL OR shared.resource_id IS NOT NULL OR (r.grade = $2 AND r.subject = $3))
+    )
+    SELECT *,
+      ($5::real * LN(1 + co_downloads) +
+       CASE WHEN same_strand THEN $6::real ELSE 0 END +
+       CASE WHEN same_grade_subject THEN $7::real ELSE 0 END) as score
+    FROM candidates
+    ORDER BY score DESC, download_count DESC, id
+    LIMIT $8
+  `, [
+    resource.id,
+    resource.grade,
+    resource.subject,
+    RECOMMENDATION_HISTORY_DAYS,
+    RELATED_WEIGHTS.coDownload,
+    RELATED_WEIGHTS.sameStrand,
+    RELATED_WEIGHTS.sameGradeSubject,
+    RELATED_RESOURCES_LIMIT
+  ]);
+
+  return result.rows.map((row) => ({
+    ...row,
+    reasons: [
+      row.co_downloads > 0 && 'co_downloaded',
+      row.same_strand && 'same_strand',
+      row.same_grade_subject && 'same_grade_subject'
+    ].filter(Boolean)
+  }));
+};
+
+// Recompute every active resource's related list, one resource per transaction
+const refreshRelatedResources = async () => {
+  const resources = await db.query("SELECT id, grade, subject FROM resources WHERE status = 'active'");
+
+  for (const resource of resources.rows) {
+    await db.transaction(async (client) => {
+      const related = await rankRelatedResources(client, resource);
+
+      await client.query('DELETE FROM related_resources WHERE resource_id = $1', [resource.id]);
+
+      for (const row of related) {
+        await client.query(`
+          INSERT INTO related_resources (resource_id, related_resource_id, score, co_downloads, reasons)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [resource.id, row.id, row.score, row.co_downloads, row.reasons]);
+      }
+    });
+  }
+
+  // Resources that were unpublished since the last run
+  await db.query(`
+    DELETE FROM related_resources rr
+    USING resources r
+    WHERE r.id = rr.resource_id AND r.status <> 'active'
+  `);
+
+  return resources.rows.length;
+};
+
+// Recompute every user's recommendations from the related lists of what they
+// downloaded, leaving out anything they already have. `based_on` keeps the
+// downloads that contributed most, for "because you downloaded" labels.
+const refreshUserRecommendations = async () => {
+  return db.transaction(async (client) => {
+    await client.query('DELETE FROM user_recommendations');
+
+    const result = await client.query(`
+      INSERT INTO user_recommendations (user_id, resource_id, score, based_on)
+      SELECT user_id, resource_id, score, based_on
+      FROM (
+        SELECT
+          mine.user_id,
+          rr.related_resource_id as resource_id,
+          SUM(rr.score) as score,
+          (array_agg(rr.resource_id ORDER BY rr.score DESC))[1:3] as based_on,
+          ROW_NUMBER() OVER (
+            PARTITION BY mine.user_id
+            ORDER BY SUM(rr.score) DESC, rr.related_resource_id
+          ) as rank
+        FROM (
+          SELECT DISTINCT user_id, resource_id FROM downloads
+          WHERE downloaded_at > NOW() - make_interval(days => $1)
+        ) mine
+        JOIN related_resources rr ON rr.resource_id = mine.resource_id
+        WHERE NOT EXISTS (
+          SELECT 1 FROM downloads d
+          WHERE d.user_id = mine.user_id AND d.resource_id = rr.related_resource_id
+        )
+        GROUP BY mine.user_id, rr.related_resource_id
+      ) ranked
+      WHERE rank <= $2
+    `, [RECOMMENDATION_HISTORY_DAYS, USER_RECOMMENDATIONS_LIMIT]);
+
+    return result.rowCount;
+  });
+};
+
+// Run the whole batch. Returns null when another refresh is already running.
+const refreshRecommendations = async () => {
+  const lockClient = await db.pool.connect();
+
+  try {
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) as acquired', [REFRESH_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      return null;
+    }
+
+    try {
+      const resources = await refreshRelatedResources();
+      const recommendations = await refreshUserRecommendations();
+
+      return { resources, recommendations };
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [REFRESH_LOCK_KEY]);
+    }
+  } finally {
+    lockClient.release();
+  }
+};
+
+module.exports = {
+  RECOMMENDED_RESOURCE_COLUMNS,
+  refreshRecommendations
+};
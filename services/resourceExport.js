@@ -0,0 +1,139 @@
+const db = require('../config/database');
+
+// Rows fetched per query; the export never holds more than one batch
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 500;
+
+// CSV columns in order. Files are flattened into one column in CSV and kept as
+// an array in NDJSON.
+const EXPORT_COLUMNS = [
+  'id', 'title', 'description', 'school', 'subject', 'grade', 'year', 'term', 'resource_type',
+  'is_premium', 'status', 'download_count', 'rating_average', 'rating_count', 'file_count',
+  'total_file_size', 'uploaded_by', 'uploaded_by_name', 'uploaded_by_email', 'created_at',
+  'updated_at', 'files'
+];
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheets from running titles like "=HYPERLINK(...)" as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves when the response can take more data or the client has gone
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const formatCsvRow = (row) => {
+  const values = {
+    ...row,
+    files: row.files.map((file) => `${file.name} (${file.type}, ${file.size} bytes)`).join('; ')
+  };
+
+  return `${EXPORT_COLUMNS.map((column) => formatCsvValue(values[column])).join(',')}\r\n`;
+};
+
+// One batch of resources after the (created_at, id) position `after`. The
+// position is kept as text because JavaScript dates drop microseconds.
+const fetchBatch = async (whereClause, params, after) => {
+  const queryParams = [...params];
+  let keysetCondition = '';
+
+  if (after) {
+    queryParams.push(after.sort_key, after.id);
+    keysetCondition = `AND (r.created_at, r.id) > ($${queryParams.length - 1}::timestamptz, $${queryParams.length}::uuid)`;
+  }
+
+  queryParams.push(EXPORT_BATCH_SIZE);
+
+  const result = await db.query(`
+    SELECT
+      r.id, r.title, r.description, r.school, r.subject, r.grade, r.year, r.term, r.resource_type,
+      r.is_premium, r.status, r.download_count, r.rating_average, r.rating_count, r.file_count,
+      r.total_file_size, r.uploaded_by, u.full_name as uploaded_by_name, u.email as uploaded_by_email,
+      r.created_at, r.updated_at, r.created_at::text as sort_key,
+      COALESCE(
+        (SELECT json_agg(json_build_object(
+            'id', rf.id,
+            'name', rf.file_name,
+            'type', rf.file_type,
+            'size', rf.file_size,
+            'mime_type', rf.mime_type,
+            'r2_key', rf.r2_key
+          ) ORDER BY rf.file_order, rf.created_at)
+         FROM resource_files rf
+         WHERE rf.resource_id = r.id AND rf.is_active = true),
+        '[]'::json
+      ) as files
+    FROM resources r
+    LEFT JOIN users u ON r.uploaded_by = u.id
+    ${whereClause} ${keysetCondition}
+    ORDER BY r.created_at, r.id
+    LIMIT $${queryParams.length}
+  `, queryParams);
+
+  return result.rows;
+};
+
+// Write every resource matching the where clause to `res` as CSV or NDJSON,
+// oldest first, a batch at a time and waiting for the client to keep up.
+// Stops early if the client goes away.
+const streamResourceExport = async (res, { whereClause, params, format }) => {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  };
+
+  if (format === 'csv') {
+    await write(`${EXPORT_COLUMNS.join(',')}\r\n`);
+  }
+
+  let after = null;
+  let exported = 0;
+
+  while (!closed) {
+    const rows = await fetchBatch(whereClause, params, after);
+
+    for (const { sort_key, ...resource } of rows) {
+      if (closed) {
+        break;
+      }
+      await write(format === 'csv' ? formatCsvRow(resource) : `${JSON.stringify(resource)}\n`);
+    }
+
+    exported += rows.length;
+
+    if (rows.length < EXPORT_BATCH_SIZE) {
+      break;
+    }
+    after = rows[rows.length - 1];
+  }
+
+  res.end();
+
+  return exported;
+};
+
+module.exports = {
+  streamResourceExport
+};
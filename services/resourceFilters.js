@@ -0,0 +1,148 @@
+const { query } = require('express-validator');
+const { searchVectorSql, buildSearchQuery, tsquerySql } = require('./resourceSearch');
+const { subtreeSql } = require('./curriculum');
+const { findSubjects } = require('./subjects');
+const { effectivePremiumSql } = require('./bundles');
+
+// Query parameters that filter resource listings, shared by GET /api/resources
+// and the admin export
+const RESOURCE_FILTER_VALIDATORS = [
+  query('grade').optional().isIn([
+    'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
+    'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
+  ]),
+  query('subject').optional().isLength({ min: 1 }),
+  query('year').optional().isInt({ min: 2020, max: 2030 }),
+  query('term').optional().isIn(['1', '2', '3']),
+  query('resource_type').optional().isIn([
+    'lesson_plan', 'worksheet', 'assessment', 'marking_scheme', 'question_paper',
+    'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment'
+  ]),
+  query('search').optional().isLength({ min: 1, max: 200 }),
+  query('school').optional().isLength({ min: 1 }),
+  query('min_rating').optional().isFloat({ min: 1, max: 5 }),
+  query('curriculum_node').optional().isUUID()
+];
+
+// Listing filters are { sql, value, facet?, name? } objects, where `$?` in sql
+// stands for the filter's parameter. Leaving out the filter for one facet gives
+// that facet's counts under all the other active filters.
+const buildWhereClause = (filters, excludeFacet) => {
+  const conditions = [];
+  const params = [];
+  const paramIndexes = {};
+
+  for (const filter of filters) {
+    if (excludeFacet && filter.facet === excludeFacet) {
+      continue;
+    }
+
+    if (filter.value === undefined) {
+      conditions.push(filter.sql);
+      continue;
+    }
+
+    params.push(filter.value);
+    if (filter.name) {
+      paramIndexes[filter.name] = params.length;
+    }
+    conditions.push(filter.sql.replace(/\$\?/g, `$${params.length}`));
+  }
+
+  return {
+    whereClause: `WHERE ${conditions.join(' AND ') || 'TRUE'}`,
+    params,
+    paramIndexes
+  };
+};
+
+// Filters for the listing query parameters, limited to resources with `status`
+// (all statuses when null). `searchQuery` is the prepared search, if any; its
+// filter is named "search" so its parameter can be reused for ranking.
+const buildResourceFilters = async (params, { status = 'active' } = {}) => {
+  const {
+    grade,
+    subject,
+    year,
+    term,
+    resource_type,
+    search,
+    is_premium,
+    school,
+    min_rating,
+    curriculum_node
+  } = params;
+
+  const searchQuery = search ? buildSearchQuery(search) : null;
+  const filters = [];
+
+  if (status) {
+    filters.push({ sql: 'r.status = $?', value: status });
+  }
+
+  if (grade) {
+    filters.push({ facet: 'grade', sql: 'r.grade = $?', value: grade });
+  }
+
+  // "Maths" finds resources filed under the canonical "mathematics"
+  if (subject) {
+    const matches = await findSubjects(subject, { grade, activeOnly: false });
+    const slugs = matches.length > 0 ? matches.map((match) => match.slug) : [subject];
+    filters.push({ facet: 'subject', sql: 'r.subject = ANY($?)', value: slugs });
+  }
+
+  if (year) {
+    filters.push({ facet: 'year', sql: 'r.year = $?', value: year });
+  }
+
+  if (term) {
+    filters.push({ facet: 'term', sql: 'r.term = $?', value: term });
+  }
+
+  if (resource_type) {
+    filters.push({ facet: 'resource_type', sql: 'r.resource_type = $?', value: resource_type });
+  }
+
+  // Resources in a premium bundle count as premium
+  if (is_premium !== undefined) {
+    filters.push({ facet: 'is_premium', sql: `${effectivePremiumSql('r')} = $?`, value: is_premium === 'true' });
+  }
+
+  if (searchQuery) {
+    filters.push({
+      name: 'search',
+      sql: `${searchVectorSql('r')} @@ ${tsquerySql('?')}`,
+      value: searchQuery
+    });
+  } else if (search) {
+    // Nothing searchable (only punctuation), so nothing can match
+    filters.push({ sql: 'FALSE' });
+  }
+
+  if (school) {
+    filters.push({ facet: 'school', sql: 'r.school ILIKE $?', value: `%${school}%` });
+  }
+
+  if (min_rating) {
+    filters.push({ sql: 'r.rating_average >= $?', value: parseFloat(min_rating) });
+  }
+
+  // Resources linked to the node or anything beneath it
+  if (curriculum_node) {
+    filters.push({
+      sql: `EXISTS (
+        SELECT 1 FROM resource_curriculum_nodes rcn
+        WHERE rcn.resource_id = r.id AND rcn.node_id IN (${subtreeSql('$?')})
+      )`,
+      value: curriculum_node
+    });
+  }
+
+  return { filters, searchQuery };
+};
+
+module.exports = {
+  RESOURCE_FILTER_VALIDATORS,
+  buildWhereClause,
+  buildResourceFilters
+};
@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { parse } = require('csv-parse/sync');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const db = require('../config/database');
+const { r2 } = require('../config/r2');
+const { resolveResourceSubject } = require('./subjects');
+const { initialResourceStatus } = require('./moderation');
+const { recordRevision } = require('./resourceRevisions');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+const IMPORT_MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 50 * 1024 * 1024;
+
+const GRADES = [
+  'preprimary', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5',
+  'grade6', 'grade7', 'grade8', 'grade9', 'grade10', 'grade11', 'grade12'
+];
+
+const RESOURCE_TYPES = [
+  'lesson_plan', 'worksheet', 'assessment', 'marking_scheme', 'question_paper',
+  'teaching_aid', 'mocks', 'schemes', 'curriculum_design', 'notes', 'holiday_assignment'
+];
+
+// Same file types as POST /api/uploads/files, by extension
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Manifest columns. `files` lists paths inside the ZIP separated by ";";
+// `school` and `description` are optional.
+const MANIFEST_COLUMNS = ['title', 'grade', 'subject', 'term', 'year', 'type', 'premium', 'files'];
+
+// Name of the manifest when it's packed inside the ZIP instead of sent separately
+const ARCHIVE_MANIFEST_NAME = 'manifest.csv';
+
+const PREMIUM_VALUES = {
+  true: true, yes: true, 1: true,
+  false: false, no: false, 0: false
+};
+
+// Import fields shown in lists; results can run to thousands of rows
+const IMPORT_SUMMARY_COLUMNS = `
+  ri.id, ri.created_by, u.full_name as created_by_name, ri.file_name, ri.source, ri.dry_run, ri.status,
+  ri.total_rows, ri.processed_rows, ri.created_count, ri.invalid_count, ri.failed_count,
+  ri.error, ri.created_at, ri.started_at, ri.finished_at
+`;
+
+const normalizeArchivePath = (value) => {
+  return String(value).trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+};
+
+// Open a ZIP for reading entries one at a time. Only the central directory is
+// read up front; file contents stay on disk until readEntry.
+const openArchive = (archivePath) => {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) {
+        reject(new Error(`Archive is not a valid ZIP: ${error.message}`));
+        return;
+      }
+
+      const entries = [];
+      zipfile.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/')) {
+          entries.push(entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({ zipfile, entries }));
+      zipfile.on('error', (entryError) => {
+        zipfile.close();
+        reject(new Error(`Archive is not a valid ZIP: ${entryError.message}`));
+      });
+      zipfile.readEntry();
+    });
+  });
+};
+
+// An entry's contents. Sizes in the ZIP can't be trusted (zip bombs), so this
+// counts the bytes actually decompressed and gives up past `maxSize`.
+const readEntry = (zipfile, entry, maxSize) => {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxSize) {
+          stream.destroy(new Error(`${entry.fileName} is larger than ${Math.round(maxSize / 1024 / 1024)}MB`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', (streamError) => {
+        reject(size > maxSize
+          ? streamError
+          : new Error(`${entry.fileName} could not be read from the ZIP: ${streamError.message}`));
+      });
+    });
+  });
+};
+
+// Archive entries by path. Archives made by zipping a folder put everything
+// under that folder, so paths are also indexed without it.
+const indexArchive = (entries) => {
+  const byPath = new Map(entries.map((entry) => [normalizeArchivePath(entry.fileName), entry]));
+
+  const topFolders = new Set([...byPath.keys()].map((name) => name.split('/')[0]));
+  const [folder] = topFolders;
+  if (topFolders.size === 1 && [...byPath.keys()].every((name) => name.startsWith(`${folder}/`))) {
+    for (const [name, entry] of [...byPath]) {
+      byPath.set(name.slice(folder.length + 1), entry);
+    }
+  }
+
+  return byPath;
+};
+
+// Rows of a manifest keyed by lower-case column name. Throws with a message
+// for the import's `error` when the manifest itself is unusable.
+const parseManifest = (text) => {
+  let rows;
+  try {
+    rows = parse(text, {
+      columns: (header) => header.map((column) => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+  } catch (error) {
+    throw new Error(`Manifest is not valid CSV: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Manifest has no rows');
+  }
+
+  const missing = MANIFEST_COLUMNS.filter((column) => !(column in rows[0]));
+  if (missing.length > 0) {
+    throw new Error(`Manifest is missing columns: ${missing.join(', ')}`);
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new Error(`Manifest has ${rows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once`);
+  }
+
+  return rows;
+};
+
+// Check one manifest row against the archive and the catalog. `line` is its
+// line in the CSV; `seen` holds the keys of earlier rows to catch duplicates.
+const validateRow = async (row, line, archive, seen) => {
+  const errors = [];
+  const title = row.title || '';
+  const premium = PREMIUM_VALUES[String(row.premium).toLowerCase()];
+  const year = parseInt(row.year);
+
+  if (title.length < 5 || title.length > 500) {
+    errors.push('title must be 5-500 characters');
+  }
+  if (!GRADES.includes(row.grade)) {
+    errors.push(`grade must be one of ${GRADES.join(', ')}`);
+  }
+  if (!['1', '2', '3'].includes(row.term)) {
+    errors.push('term must be 1, 2 or 3');
+  }
+  if (!/^\d{4}$/.test(row.year) || year < 2020 || year > 2030) {
+    errors.push('year must be between 2020 and 2030');
+  }
+  if (!RESOURCE_TYPES.includes(row.type)) {
+    errors.push(`type must be one of ${RESOURCE_TYPES.join(', ')}`);
+  }
+  if (premium === undefined) {
+    errors.push('premium must be true or false');
+  }
+  if ((row.description || '').length > 1000) {
+    errors.push('description must be at most 1000 characters');
+  }
+
+  let subject = null;
+  if (!row.subject) {
+    errors.push('subject is required');
+  } else if (GRADES.includes(row.grade)) {
+    const subjectResult = await resolveResourceSubject(row.subject, row.grade);
+    if (subjectResult.problem) {
+      errors.push(subjectResult.problem);
+    }
+    subject = subjectResult.slug;
+  }
+
+  const files = [];
+  const paths = (row.files || '').split(';').map(normalizeArchivePath).filter(Boolean);
+  if (paths.length === 0) {
+    errors.push('files must list at least one path in the ZIP');
+  }
+  for (const filePath of paths) {
+    const entry = archive.get(filePath);
+    const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+    if (!entry) {
+      errors.push(`${filePath} is not in the ZIP`);
+    } else if (!mimeType) {
+      errors.push(`${filePath} must be a PDF, DOC, DOCX, PPT or PPTX file`);
+    } else if (entry.uncompressedSize > IMPORT_MAX_FILE_SIZE) {
+      errors.push(`${filePath} is larger than ${Math.round(IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB`);
+    } else if (entry.uncompressedSize === 0) {
+      errors.push(`${filePath} is empty`);
+    } else {
+      files.push({ path: filePath, name: path.basename(filePath), size: entry.uncompressedSize, mime_type: mimeType });
+    }
+  }
+
+  // Re-running a partly failed import skips the rows that made it in
+  const key = [title.toLowerCase(), row.grade, row.year, row.term].join('|');
+  if (seen.has(key)) {
+    errors.push(`Duplicate of line ${seen.get(key)}`);
+  } else if (errors.length === 0) {
+    seen.set(key, line);
+
+    const existing = await db.query(`
+      SELECT id FROM resources
+      WHERE lower(title) = $1 AND grade = $2 AND year = $3 AND term = $4 AND status <> 'inactive'
+      LIMIT 1
+    `, [title.toLowerCase(), row.grade, year, row.term]);
+    if (existing.rows.length > 0) {
+      errors.push(`A resource with this title, grade, year and term already exists (${existing.rows[0].id})`);
+    }
+  }
+
+  return {
+    line,
+    title,
+    status: errors.length > 0 ? 'invalid' : 'valid',
+    errors,
+    resource: errors.length > 0 ? null : {
+      school: row.school || null,
+      title,
+      description: row.description || null,
+      subject,
+      grade: row.grade,
+      year,
+      term: row.term,
+      resource_type: row.type,
+      is_premium: premium
+    },
+    files
+  };
+};
+
+// Upload a validated row's files to R2, one at a time, and create its resource
+const importRow = async (result, zipfile, archive, user, status, importId) => {
+  const uploadedFiles = [];
+
+  for (const file of result.files) {
+    const timestamp = Date.now();
+    const key = `resources/${timestamp}-${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+    await r2.send(
+      new PutObjectCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: key,
+        Body: await readEntry(zipfile, archive.get(file.path), IMPORT_MAX_FILE_SIZE),
+        ContentType: file.mime_type,
+        Metadata: {
+          'original-name': file.name,
+          'uploaded-by': user.id,
+          'upload-timestamp': timestamp.toString(),
+          'import-id': importId
+        }
+      })
+    );
+
+    uploadedFiles.push({ ...file, key });
+  }
+
+  const { resource } = result;
+  const totalFileSize = uploadedFiles.reduce((sum, file) => sum + file.size, 0);
+
+  return db.transaction(async (client) => {
+    const resourceResult = await client.query(`
+      INSERT INTO resources (
+        school, title, description, subject, grade, year, term,
+        resource_type, is_premium, uploaded_by, file_count, total_file_size, status
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+      RETURNING id
+    `, [
+      resource.school, resource.title, resource.description, resource.subject, resource.grade,
+      resource.year, resource.term, resource.resource_type, resource.is_premium, user.id,
+      uploadedFiles.length, totalFileSize, status
+    ]);
+
+    const resourceId = resourceResult.rows[0].id;
+
+    for (const [index, file] of uploadedFiles.entries()) {
+      await client.query(`
+        INSERT INTO resource_files (
+          resource_id, file_name, file_size, file_type, mime_type,
+          r2_key, r2_bucket, file_order
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      `, [resourceId, file.name, file.size, 'main_file', file.mime_type, file.key, process.env.R2_BUCKET_NAME, index + 1]);
+    }
+
+    await recordRevision(client, resourceId, { authorId: user.id, changeType: 'create' });
+
+    return resourceId;
+  });
+};
+
+// Per-row results as stored: what was checked and what happened, without the
+// parsed values
+const formatResult = (result) => ({
+  line: result.line,
+  title: result.title,
+  status: result.status,
+  errors: result.errors,
+  files: result.files.map((file) => file.path),
+  resource_id: result.resource_id || null
+});
+
+// Save counts and results; passing `status` finishes the import
+const saveProgress = async (importId, results, status = null) => {
+  const counts = {
+    processed_rows: results.filter((result) => result.status !== 'valid' || status).length,
+    created_count: results.filter((result) => result.status === 'created').length,
+    invalid_count: results.filter((result) => result.status === 'invalid').length,
+    failed_count: results.filter((result) => result.status === 'failed').length
+  };
+
+  await db.query(`
+    UPDATE resource_imports SET
+      processed_rows = $1, created_count = $2, invalid_count = $3, failed_count = $4,
+      results = $5, total_rows = $6,
+      status = COALESCE($7, status), finished_at = CASE WHEN $7 IS NULL THEN finished_at ELSE NOW() END
+    WHERE id = $8
+  `, [
+    counts.processed_rows, counts.created_count, counts.invalid_count, counts.failed_count,
+    JSON.stringify(results.map(formatResult)), results.length, status, importId
+  ]);
+};
+
+// Record a new import for `user`; run it with runImport. `source` is "api" for
+// imports run by the server and "cli" for npm run import.
+const createImport = async ({ user, fileName, dryRun, source = 'api' }) => {
+  const result = await db.query(`
+    INSERT INTO resource_imports (created_by, file_name, dry_run, source)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [user.id, fileName || null, dryRun, source]);
+
+  return result.rows[0];
+};
+
+// Imports run by the server stop when it does; mark any left queued or running
+// from before a restart as failed. Returns how many there were.
+const failInterruptedImports = async () => {
+  const result = await db.query(`
+    UPDATE resource_imports
+    SET status = 'failed', error = 'Interrupted by a server restart', finished_at = NOW()
+    WHERE source = 'api' AND status IN ('queued', 'running')
+  `);
+
+  return result.rowCount;
+};
+
+// Validate every row, then (unless a dry run) create the valid ones one by one.
+// Invalid rows are skipped and a failing row doesn't stop the rest. The manifest
+// is `manifestText` or manifest.csv inside the archive. Progress and per-row
+// results are saved on the import as it goes; never throws.
+const runImport = async (importId, { archivePath, manifestText, user, dryRun }) => {
+  let zipfile = null;
+
+  try {
+    await db.query(
+      "UPDATE resource_imports SET status = 'running', started_at = NOW() WHERE id = $1",
+      [importId]
+    );
+
+    const opened = await openArchive(archivePath);
+    zipfile = opened.zipfile;
+    const archive = indexArchive(opened.entries);
+
+    if (manifestText === undefined || manifestText === null) {
+      const manifestEntry = archive.get(ARCHIVE_MANIFEST_NAME);
+      if (!manifestEntry) {
+        throw new Error(`Send a manifest or put ${ARCHIVE_MANIFEST_NAME} at the top of the ZIP`);
+      }
+      manifestText = (await readEntry(zipfile, manifestEntry, IMPORT_MAX_FILE_SIZE)).toString('utf8');
+    }
+
+    const rows = parseManifest(manifestText);
+    const seen = new Map();
+    const results = [];
+
+    // The header is line 1
+    for (const [index, row] of rows.entries()) {
+      results.push(await validateRow(row, index + 2, archive, seen));
+    }
+
+    if (dryRun) {
+      await saveProgress(importId, results, 'completed');
+      return;
+    }
+
+    await saveProgress(importId, results);
+
+    const status = await initialResourceStatus(user);
+
+    for (const result of results) {
+      if (result.status !== 'valid') {
+        continue;
+      }
+
+      try {
+        result.resource_id = await importRow(result, zipfile, archive, user, status, importId);
+        result.status = 'created';
+      } catch (error) {
+        console.error(`Import ${importId} line ${result.line} error:`, error);
+        result.status = 'failed';
+        result.errors.push(error.message);
+      }
+
+      await saveProgress(importId, results);
+    }
+
+    await saveProgress(importId, results, 'completed');
+  } catch (error) {
+    console.error(`Import ${importId} error:`, error);
+    await db.query(`
+      UPDATE resource_imports SET status = 'failed', error = $1, finished_at = NOW()
+      WHERE id = $2
+    `, [error.message, importId]).catch((updateError) => {
+      console.error(`Import ${importId} status update error:`, updateError);
+    });
+  } finally {
+    if (zipfile) {
+      zipfile.close();
+    }
+  }
+};
+
+// Remove an uploaded archive or manifest once it's no longer needed
+const removeImportFile = (filePath) => {
+  fs.unlink(filePath, (error) => {
+    if (error && error.code !== 'ENOENT') {
+      console.error('Remove import archive error:', error);
+    }
+  });
+};
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  IMPORT_SUMMARY_COLUMNS,
+  createImport,
+  failInterruptedImports,
+  runImport,
+  removeImportFile
+};
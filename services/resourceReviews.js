@@ -0,0 +1,71 @@
+const db = require('../config/database');
+
+// Reviews as returned by the API, with the reviewer's name
+const REVIEW_SELECT = `
+  SELECT
+    rr.id, rr.resource_id, rr.user_id, rr.rating, rr.body, rr.status,
+    rr.moderation_reason, rr.moderated_at, rr.created_at, rr.updated_at,
+    u.full_name as reviewer_name
+  FROM resource_reviews rr
+  LEFT JOIN users u ON rr.user_id = u.id
+`;
+
+// Only users who have downloaded a resource may review it
+const hasDownloaded = async (userId, resourceId) => {
+  const result = await db.query(
+    'SELECT 1 FROM downloads WHERE user_id = $1 AND resource_id = $2 LIMIT 1',
+    [userId, resourceId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Keep the resource's rating_average and rating_count in line with its visible
+// reviews. `runner` is db or a transaction client.
+const refreshRatingStats = async (runner, resourceId) => {
+  await runner.query(`
+    UPDATE resources SET
+      rating_average = (
+        SELECT ROUND(AVG(rating), 2) FROM resource_reviews
+        WHERE resource_id = $1 AND status = 'visible'
+      ),
+      rating_count = (
+        SELECT COUNT(*) FROM resource_reviews
+        WHERE resource_id = $1 AND status = 'visible'
+      )
+    WHERE id = $1
+  `, [resourceId]);
+};
+
+// { average, count, distribution: { 1: n, ..., 5: n } } over visible reviews
+const getRatingSummary = async (resourceId) => {
+  const result = await db.query(`
+    SELECT rating, COUNT(*)::int as count
+    FROM resource_reviews
+    WHERE resource_id = $1 AND status = 'visible'
+    GROUP BY rating
+  `, [resourceId]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+
+  for (const row of result.rows) {
+    distribution[row.rating] = row.count;
+    total += row.rating * row.count;
+    count += row.count;
+  }
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+    count,
+    distribution
+  };
+};
+
+module.exports = {
+  REVIEW_SELECT,
+  hasDownloaded,
+  refreshRatingStats,
+  getRatingSummary
+};
@@ -0,0 +1,159 @@
+// Immutable resource history. Every change to a resource's metadata or file set
+// is stored as a full snapshot in resource_revisions, numbered per resource.
+// All functions take a transaction client from db.transaction.
+
+// Metadata fields tracked in revisions (and the only ones PUT may change)
+const REVISION_FIELDS = [
+  'school',
+  'title',
+  'description',
+  'subject',
+  'grade',
+  'year',
+  'term',
+  'resource_type',
+  'is_premium'
+];
+
+const FILE_FIELDS = ['name', 'type', 'mime_type', 'size', 'r2_key', 'order'];
+
+// Current state of a resource as stored in a revision
+const snapshotResource = async (client, resourceId) => {
+  const resourceResult = await client.query(
+    `SELECT ${REVISION_FIELDS.join(', ')} FROM resources WHERE id = $1`,
+    [resourceId]
+  );
+
+  const filesResult = await client.query(`
+    SELECT id, file_name as name, file_type as type, mime_type, file_size as size, r2_key, file_order as "order"
+    FROM resource_files
+    WHERE resource_id = $1 AND is_active = true
+    ORDER BY file_order, created_at
+  `, [resourceId]);
+
+  return {
+    ...resourceResult.rows[0],
+    files: filesResult.rows.map((file) => ({ ...file, size: Number(file.size) }))
+  };
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level differences between two snapshots
+const diffSnapshots = (from, to) => {
+  const fields = REVISION_FIELDS
+    .filter((field) => !sameValue(from[field], to[field]))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const fromFiles = new Map(from.files.map((file) => [file.id, file]));
+  const toFiles = new Map(to.files.map((file) => [file.id, file]));
+
+  const files = {
+    added: to.files.filter((file) => !fromFiles.has(file.id)),
+    removed: from.files.filter((file) => !toFiles.has(file.id)),
+    changed: to.files
+      .filter((file) => fromFiles.has(file.id))
+      .map((file) => ({
+        id: file.id,
+        name: file.name,
+        changes: FILE_FIELDS
+          .filter((field) => !sameValue(fromFiles.get(file.id)[field], file[field]))
+          .map((field) => ({ field, from: fromFiles.get(file.id)[field], to: file[field] }))
+      }))
+      .filter((file) => file.changes.length > 0)
+  };
+
+  return { fields, files };
+};
+
+// Names of what changed, e.g. ['title', 'files']
+const changedFieldNames = (diff) => {
+  const names = diff.fields.map((change) => change.field);
+  const { added, removed, changed } = diff.files;
+
+  if (added.length > 0 || removed.length > 0 || changed.length > 0) {
+    names.push('files');
+  }
+
+  return names;
+};
+
+// Record the resource's current state as a new revision. Returns the revision,
+// or null when the resource doesn't exist or nothing changed since the latest
+// one. Locks the resource row so concurrent edits get consecutive numbers.
+const recordRevision = async (client, resourceId, { authorId, changeType, restoredFrom = null }) => {
+  const locked = await client.query('SELECT id FROM resources WHERE id = $1 FOR UPDATE', [resourceId]);
+  if (locked.rows.length === 0) {
+    return null;
+  }
+
+  const latestResult = await client.query(`
+    SELECT revision_number, snapshot FROM resource_revisions
+    WHERE resource_id = $1
+    ORDER BY revision_number DESC
+    LIMIT 1
+  `, [resourceId]);
+
+  const latest = latestResult.rows[0];
+  const snapshot = await snapshotResource(client, resourceId);
+
+  let changedFields = [];
+  if (latest) {
+    changedFields = changedFieldNames(diffSnapshots(latest.snapshot, snapshot));
+
+    if (changedFields.length === 0) {
+      return null;
+    }
+  }
+
+  const result = await client.query(`
+    INSERT INTO resource_revisions (
+      resource_id, revision_number, change_type, changed_fields, snapshot, author_id, restored_from
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, resource_id, revision_number, change_type, changed_fields, author_id, restored_from, created_at
+  `, [
+    resourceId,
+    latest ? latest.revision_number + 1 : 1,
+    changeType,
+    changedFields,
+    JSON.stringify(snapshot),
+    authorId,
+    restoredFrom
+  ]);
+
+  return result.rows[0];
+};
+
+// Resources created before revisions existed get their current state recorded
+// as revision 1 before the first change is applied
+const ensureBaselineRevision = async (client, resourceId) => {
+  const existing = await client.query(
+    'SELECT 1 FROM resource_revisions WHERE resource_id = $1 LIMIT 1',
+    [resourceId]
+  );
+
+  if (existing.rows.length === 0) {
+    await recordRevision(client, resourceId, { authorId: null, changeType: 'baseline' });
+  }
+};
+
+// Keep the resource's file_count and total_file_size in line with its active files
+const refreshFileStats = async (client, resourceId) => {
+  await client.query(`
+    UPDATE resources SET
+      file_count = (SELECT COUNT(*) FROM resource_files WHERE resource_id = $1 AND is_active = true),
+      total_file_size = (SELECT COALESCE(SUM(file_size), 0) FROM resource_files WHERE resource_id = $1 AND is_active = true),
+      updated_at = NOW()
+    WHERE id = $1
+  `, [resourceId]);
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotResource,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  refreshFileStats
+};
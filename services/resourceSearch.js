@@ -0,0 +1,60 @@
+// Full-text search over resources. The weighted document below is indexed by
+// idx_resources_search (scripts/migrate.js); queries must use the same
+// expression for the index to apply.
+const SEARCH_CONFIG = 'english';
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Title matches rank highest, then subject, description and school
+const searchVectorSql = (alias = '') => {
+  const column = (name) => `coalesce(${alias ? `${alias}.` : ''}${name}, '')`;
+
+  return `(
+    setweight(to_tsvector('${SEARCH_CONFIG}'::regconfig, ${column('title')}), 'A') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}'::regconfig, ${column('subject')}), 'B') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}'::regconfig, ${column('description')}), 'C') ||
+    setweight(to_tsvector('${SEARCH_CONFIG}'::regconfig, ${column('school')}), 'D')
+  )`;
+};
+
+// Turn free text into a to_tsquery() string where every word is a prefix
+// match ("fract math" finds "Fractions - Mathematics"). Only letters and
+// digits survive, so the result is safe to pass as a query parameter.
+// Returns null when nothing searchable is left.
+const buildSearchQuery = (search) => {
+  const words = String(search).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return words.slice(0, 10).map((word) => `${word}:*`).join(' & ');
+};
+
+// SQL for a tsquery built from the parameter at `paramIndex`
+const tsquerySql = (paramIndex) => `to_tsquery('${SEARCH_CONFIG}'::regconfig, $${paramIndex})`;
+
+// HTML-escape a text expression in SQL. Entities are single tokens to the
+// search parser, so escaped text still highlights word by word.
+const escapeHtmlSql = (expression) => [
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;'],
+  ["''", '&#39;']
+].reduce((sql, [character, entity]) => `replace(${sql}, '${character}', '${entity}')`, expression);
+
+// Highlighted snippets for the listing. Titles and descriptions are escaped
+// before highlighting, so the snippets are safe to render as HTML with only
+// the <mark> tags as markup.
+const headlineSql = (alias, paramIndex) => `json_build_object(
+  'title', ts_headline('${SEARCH_CONFIG}'::regconfig, ${escapeHtmlSql(`${alias}.title`)}, ${tsquerySql(paramIndex)}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>'),
+  'description', ts_headline('${SEARCH_CONFIG}'::regconfig, ${escapeHtmlSql(`coalesce(${alias}.description, '')`)}, ${tsquerySql(paramIndex)}, '${HEADLINE_OPTIONS}')
+)`;
+
+module.exports = {
+  searchVectorSql,
+  buildSearchQuery,
+  tsquerySql,
+  headlineSql
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// SMS drivers receive a { to, message } object, `to` in 2547XXXXXXXX format.
+// Select one with SMS_DRIVER; register others with registerDriver.
+const drivers = {
+  // Note messages in the server log (default for development). Messages carry
+  // sign-in codes, so they're never logged; use the outbox driver to read them.
+  console: async ({ to, message }) => {
+    console.log(`📱 SMS to ${to} (${message.length} characters)`);
+  },
+
+  // Write each message as a JSON file (local development and tests)
+  outbox: async (sms) => {
+    const dir = process.env.SMS_OUTBOX_DIR || path.join(__dirname, '..', 'storage', 'sms-outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...sms, sent_at: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Africa's Talking bulk SMS API
+  africastalking: async ({ to, message }) => {
+    const baseUrl = process.env.AT_USERNAME === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+
+    const params = new URLSearchParams({
+      username: process.env.AT_USERNAME,
+      to: `+${to}`,
+      message
+    });
+
+    if (process.env.AT_SENDER_ID) {
+      params.append('from', process.env.AT_SENDER_ID);
+    }
+
+    await axios.post(`${baseUrl}/version1/messaging`, params.toString(), {
+      headers: {
+        apiKey: process.env.AT_API_KEY,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+};
+
+const registerDriver = (name, send) => {
+  drivers[name] = send;
+};
+
+// The configured driver; production needs a real SMS gateway
+const getDriver = () => {
+  const driverName = process.env.SMS_DRIVER || 'console';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown SMS driver: ${driverName}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && ['console', 'outbox'].includes(driverName)) {
+    throw new Error(`SMS_DRIVER=${driverName} can't be used in production; configure an SMS gateway`);
+  }
+
+  return driver;
+};
+
+const sendSms = async ({ to, message }) => {
+  const driver = getDriver();
+
+  await driver({ to, message });
+};
+
+module.exports = {
+  sendSms,
+  checkSmsDriver: getDriver,
+  registerDriver
+};
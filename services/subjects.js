@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+const SUBJECTS_DATA_FILE = process.env.SUBJECTS_DATA_FILE ||
+  path.join(__dirname, '..', 'data', 'subjects.json');
+
+// "Science & Technology", "science_technology" and " SCIENCE and technology"
+// all normalize to "science and technology"
+const normalizeSubjectTerm = (value) => {
+  return String(value)
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[\s_.-]+/g, ' ')
+    .trim();
+};
+
+// SQL equivalent of normalizeSubjectTerm for a column or expression
+const normalizedSubjectSql = (expr) => {
+  return `btrim(regexp_replace(replace(lower(${expr}), '&', 'and'), '[\\s_.-]+', ' ', 'g'))`;
+};
+
+// Whether the subject row `alias` (s) answers to the normalized term in `param`
+const subjectMatchSql = (alias, param) => {
+  return `(${param} IN (${normalizedSubjectSql(`${alias}.slug`)}, ${normalizedSubjectSql(`${alias}.name`)}) ` +
+    `OR ${param} = ANY(${alias}.aliases))`;
+};
+
+// Default catalog seeded by scripts/migrate.js
+const loadDefaultSubjects = () => {
+  return JSON.parse(fs.readFileSync(SUBJECTS_DATA_FILE, 'utf8')).map((subject) => ({
+    ...subject,
+    aliases: [...new Set(subject.aliases.map(normalizeSubjectTerm))]
+  }));
+};
+
+// Subjects whose slug, name or aliases match `value`, optionally only those
+// taught in `grade`
+const findSubjects = async (value, { grade, activeOnly = true } = {}) => {
+  const result = await db.query(`
+    SELECT * FROM subjects s
+    WHERE ${subjectMatchSql('s', '$1')}
+      AND ($2::text IS NULL OR $2 = ANY(s.grades))
+      AND (s.is_active OR NOT $3)
+    ORDER BY s.slug
+  `, [normalizeSubjectTerm(value), grade || null, activeOnly]);
+
+  return result.rows;
+};
+
+// Resolve a subject sent with a resource to its canonical slug. Returns
+// { slug } or { problem } when the subject is unknown or not taught in `grade`.
+// Pass activeOnly: false to keep a resource on a subject that has since been
+// deactivated; active subjects are still preferred.
+const resolveResourceSubject = async (value, grade, { activeOnly = true } = {}) => {
+  const matches = await findSubjects(value, { activeOnly });
+
+  if (matches.length === 0) {
+    return { problem: `Unknown subject "${value}". See GET /api/subjects for the catalog` };
+  }
+
+  const taught = matches.filter((subject) => subject.grades.includes(grade));
+  const forGrade = taught.find((subject) => subject.is_active) || taught[0];
+  if (!forGrade) {
+    return { problem: `${matches[0].name} is not taught in ${grade}` };
+  }
+
+  return { slug: forGrade.slug };
+};
+
+// Subjects sharing a slug, name or alias with `subject` in any of its grades,
+// so a term never resolves to two subjects for the same grade. `excludeSlugs`
+// is a slug or list of slugs to leave out (the subject itself when updating).
+const findConflictingSubjects = async ({ slug, name, aliases, grades }, excludeSlugs = []) => {
+  const terms = [...new Set([slug, name, ...aliases].map(normalizeSubjectTerm))];
+
+  const result = await db.query(`
+    SELECT slug, name FROM subjects s
+    WHERE NOT (s.slug = ANY($3))
+      AND s.grades && $2
+      AND (
+        ${normalizedSubjectSql('s.slug')} = ANY($1) OR
+        ${normalizedSubjectSql('s.name')} = ANY($1) OR
+        s.aliases && $1
+      )
+  `, [terms, grades, [].concat(excludeSlugs || [])]);
+
+  return result.rows;
+};
+
+// Point resources whose subject is free text at the canonical subject, preferring
+// one taught in the resource's grade. Returns { mapped, unmapped: [values] }.
+const mapResourceSubjects = async (runner) => {
+  const mapped = await runner.query(`
+    UPDATE resources r SET subject = match.slug
+    FROM (
+      SELECT DISTINCT ON (r.id) r.id, s.slug
+      FROM resources r
+      JOIN subjects s ON ${subjectMatchSql('s', normalizedSubjectSql('r.subject'))}
+      WHERE r.subject NOT IN (SELECT slug FROM subjects)
+      ORDER BY r.id, (r.grade = ANY(s.grades)) DESC, s.slug
+    ) match
+    WHERE r.id = match.id
+  `);
+
+  const unmapped = await runner.query(`
+    SELECT DISTINCT subject FROM resources
+    WHERE subject NOT IN (SELECT slug FROM subjects)
+    ORDER BY subject
+  `);
+
+  return {
+    mapped: mapped.rowCount,
+    unmapped: unmapped.rows.map((row) => row.subject)
+  };
+};
+
+module.exports = {
+  normalizeSubjectTerm,
+  loadDefaultSubjects,
+  findSubjects,
+  resolveResourceSubject,
+  findConflictingSubjects,
+  mapResourceSubjects
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const SETUP_TOKEN_EXPIRES_IN = '15m';
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Best-effort "Browser on OS" label for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+
+  return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+};
+
+// Generate short-lived JWT access token bound to a login session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, tokenVersion: user.token_version || 0, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Short-lived token proving the password step of a two-step login passed.
+// Carries the token version so a password change or logout-everywhere
+// revokes pending challenges too.
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, tokenVersion: user.token_version || 0, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Token for an account that must enroll in 2FA before logging in; only the
+// enrollment endpoints accept it
+const generateSetupToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, tokenVersion: user.token_version || 0, purpose: '2fa_setup' },
+    process.env.JWT_SECRET,
+    { expiresIn: SETUP_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Returns { userId, tokenVersion } from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa'
+      ? { userId: decoded.userId, tokenVersion: decoded.tokenVersion || 0 }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store a new refresh token, starting a new family unless one is given
+const createRefreshToken = async (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await db.query(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+  `, [userId, familyId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]);
+
+  return token;
+};
+
+// Issue an access token + refresh token pair for a fresh login. Each login
+// is tracked as a session whose id doubles as the refresh token family id.
+// `context` carries { deviceName, userAgent, ip } from the request.
+const issueTokens = async (user, context = {}) => {
+  const sessionResult = await db.query(`
+    INSERT INTO user_sessions (user_id, device_name, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING id
+  `, [
+    user.id,
+    context.deviceName || describeDevice(context.userAgent),
+    context.userAgent || null,
+    context.ip || null,
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  const sessionId = sessionResult.rows[0].id;
+  const refreshToken = await createRefreshToken(user.id, sessionId);
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+const revokeTokenFamily = async (familyId) => {
+  await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE family_id = $1 AND revoked_at IS NULL
+  `, [familyId]);
+
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired or revoked. Presenting a token that was already rotated
+// means it leaked, so the whole family is revoked.
+const rotateRefreshToken = async (token, context = {}) => {
+  const result = await db.query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    return null;
+  }
+
+  if (stored.rotated_at) {
+    console.warn('Refresh token reuse detected, revoking family:', stored.family_id);
+    await revokeTokenFamily(stored.family_id);
+    return null;
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const claimed = await db.query(`
+    UPDATE refresh_tokens
+    SET rotated_at = NOW()
+    WHERE id = $1 AND rotated_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `, [stored.id]);
+
+  if (claimed.rows.length === 0) {
+    console.warn('Refresh token reuse detected, revoking family:', stored.family_id);
+    await revokeTokenFamily(stored.family_id);
+    return null;
+  }
+
+  const userResult = await db.query(
+    'SELECT * FROM users WHERE id = $1',
+    [stored.user_id]
+  );
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const user = userResult.rows[0];
+  const refreshToken = await createRefreshToken(user.id, stored.family_id);
+
+  // Families issued before session tracking get their session row here
+  await db.query(`
+    INSERT INTO user_sessions (id, user_id, device_name, user_agent, ip_address, expires_at, last_seen_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6), NOW())
+    ON CONFLICT (id) DO UPDATE
+    SET ip_address = EXCLUDED.ip_address, expires_at = EXCLUDED.expires_at, last_seen_at = NOW()
+  `, [
+    stored.family_id,
+    user.id,
+    describeDevice(context.userAgent),
+    context.userAgent || null,
+    context.ip || null,
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  return {
+    user,
+    tokens: {
+      token: generateAccessToken(user, stored.family_id),
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_EXPIRES_IN
+    }
+  };
+};
+
+// Logout: revoke the family the given refresh token belongs to
+const revokeRefreshToken = async (token) => {
+  const result = await db.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeTokenFamily(result.rows[0].family_id);
+  return true;
+};
+
+// Log out everywhere: revoke every refresh token and invalidate every
+// access token already issued by bumping the user's token version
+const revokeAllUserTokens = async (userId) => {
+  await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId]);
+
+  await db.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId]);
+
+  await db.query(
+    'UPDATE users SET token_version = token_version + 1, updated_at = NOW() WHERE id = $1',
+    [userId]
+  );
+};
+
+// Revoke one of the user's sessions. Returns false if it doesn't exist.
+const revokeSession = async (userId, sessionId) => {
+  const result = await db.query(
+    'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeTokenFamily(sessionId);
+  return true;
+};
+
+// Revoke every session except the one making the request
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  const result = await db.query(`
+    SELECT id FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2
+  `, [userId, currentSessionId || null]);
+
+  for (const session of result.rows) {
+    await revokeTokenFamily(session.id);
+  }
+
+  return result.rows.length;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  generateSetupToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+let student;
+
+before(async () => {
+  app = await startApp();
+  student = await app.login('student@elimufiti.com', 'student123');
+});
+
+after(() => app.close());
+
+test('malformed collection and resource ids are rejected with 400', async () => {
+  const requests = [
+    ['GET', '/api/users/collections/not-a-uuid'],
+    ['PUT', '/api/users/collections/not-a-uuid', { name: 'Renamed' }],
+    ['DELETE', '/api/users/collections/not-a-uuid'],
+    ['PUT', '/api/users/collections/not-a-uuid/items/order', { resource_ids: [] }],
+    ['DELETE', '/api/users/collections/not-a-uuid/items/also-not-a-uuid'],
+    ['POST', '/api/users/collections/not-a-uuid/share'],
+    ['DELETE', '/api/users/collections/not-a-uuid/share'],
+    ['DELETE', '/api/users/bookmarks/not-a-uuid']
+  ];
+
+  for (const [method, url, body] of requests) {
+    const response = await app.request(method, url, { body, token: student });
+    assert.equal(response.status, 400, `${method} ${url}`);
+    assert.equal(response.body.message, 'Validation errors');
+  }
+});
+
+test('an unknown collection id is a 404', async () => {
+  const response = await app.request('GET', '/api/users/collections/00000000-0000-4000-8000-000000000000', {
+    token: student
+  });
+
+  assert.equal(response.status, 404);
+});
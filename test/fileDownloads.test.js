@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+let student;
+const resources = {};
+
+before(async () => {
+  app = await startApp({ DOWNLOAD_URL_TTL: '300' });
+
+  const staff = await app.login('staff@elimufiti.com', 'staff123');
+  student = await app.login('student@elimufiti.com', 'student123');
+  await app.db.query("UPDATE users SET subscription_status = 'inactive' WHERE email = 'student@elimufiti.com'");
+
+  for (const [name, isPremium] of [['free', false], ['premium', true]]) {
+    const response = await app.request('POST', '/api/resources', {
+      body: {
+        school: 'Download school',
+        is_premium: isPremium,
+        title: `Download test ${name}`,
+        description: 'Two files',
+        subject: 'mathematics',
+        grade: 'grade5',
+        year: 2024,
+        term: '1',
+        resource_type: 'notes',
+        files: [
+          { name: 'paper one.pdf', url: 'https://storage.example.com/a.pdf', size: 10, key: `test/${name}/a.pdf`, mime_type: 'application/pdf' },
+          { name: 'scheme.pdf', url: 'https://storage.example.com/b.pdf', size: 20, key: `test/${name}/b.pdf`, mime_type: 'application/pdf', type: 'marking_scheme' }
+        ]
+      },
+      token: staff
+    });
+    resources[name] = response.body.data.id;
+  }
+});
+
+after(() => app.close());
+
+test('listings and details never show where files are stored', async () => {
+  const listing = await app.request('GET', '/api/resources?school=Download');
+  const detail = await app.request('GET', `/api/resources/${resources.free}`);
+
+  for (const body of [listing.body, detail.body]) {
+    const text = JSON.stringify(body);
+    assert.ok(!text.includes('test/free/'));
+    assert.ok(!text.includes('storage.example.com'));
+  }
+  assert.deepEqual(Object.keys(detail.body.data.files[0]).sort(), ['id', 'mime_type', 'name', 'size', 'type']);
+});
+
+test('downloads return presigned URLs that expire', async () => {
+  const response = await app.request('POST', `/api/resources/${resources.free}/download`, { body: {}, token: student });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.expires_in, 300);
+  assert.equal(response.body.data.files.length, 2);
+
+  const url = new URL(response.body.data.files[0].url);
+  assert.ok(url.hostname.endsWith('.test-account.r2.cloudflarestorage.com'));
+  assert.equal(url.pathname, '/test/free/a.pdf');
+  assert.equal(url.searchParams.get('X-Amz-Expires'), '300');
+  assert.ok(url.searchParams.get('X-Amz-Signature'));
+});
+
+test('a single file can be downloaded by id', async () => {
+  const detail = await app.request('GET', `/api/resources/${resources.free}`);
+  const scheme = detail.body.data.files.find((file) => file.name === 'scheme.pdf');
+
+  const response = await app.request('POST', `/api/resources/${resources.free}/download`, {
+    body: { file_id: scheme.id },
+    token: student
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.files.map((file) => file.name), ['scheme.pdf']);
+});
+
+test('premium files need an active subscription', async () => {
+  const response = await app.request('POST', `/api/resources/${resources.premium}/download`, { body: {}, token: student });
+
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+// Stand-in for pg.Pool backed by an in-memory PGlite database, so tests run
+// without a PostgreSQL server. PGlite has a single connection: every pooled
+// client shares it, so send requests one at a time.
+const createPool = (database) => {
+  const toParams = (params) => params.map((value) => (value instanceof Date ? value.toISOString() : value));
+
+  const query = async (text, params) => {
+    let result;
+    if (params && params.length > 0) {
+      result = await database.query(text, toParams(params));
+    } else {
+      // Migrations send several statements at once
+      const results = await database.exec(text);
+      result = results[results.length - 1] || { rows: [] };
+    }
+
+    return { ...result, rowCount: result.affectedRows || result.rows.length };
+  };
+
+  return class Pool {
+    on() {}
+
+    query(text, params) {
+      return query(text, params);
+    }
+
+    async connect() {
+      return { query, release() {} };
+    }
+
+    async end() {}
+  };
+};
+
+// Environment for the app under test; `env` overrides or adds variables and
+// must be set before anything from the app is loaded
+const configureEnv = (env) => {
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'elimufiti-test-'));
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    JWT_SECRET: 'test-secret',
+    MAIL_DRIVER: 'outbox',
+    MAIL_OUTBOX_DIR: path.join(outboxDir, 'mail'),
+    SMS_DRIVER: 'outbox',
+    SMS_OUTBOX_DIR: path.join(outboxDir, 'sms'),
+    RESOURCE_MODERATION: 'off',
+    R2_ENDPOINT: 'https://test-account.r2.cloudflarestorage.com',
+    R2_ACCESS_KEY_ID: 'test-key',
+    R2_SECRET_ACCESS_KEY: 'test-secret-key',
+    R2_BUCKET_NAME: 'elimufiti-test',
+    ...env
+  });
+
+  return outboxDir;
+};
+
+// Enroll every seeded user whose role mandates 2FA, as production requires.
+// Returns their TOTP secrets by email.
+const enrollTwoFactor = async (db) => {
+  const { isTwoFactorMandatory } = require('../../middleware/auth');
+  const totp = require('../../services/totp');
+  const secrets = new Map();
+
+  const users = await db.query('SELECT id, email, role FROM users');
+  for (const user of users.rows) {
+    if (await isTwoFactorMandatory(user)) {
+      const secret = totp.generateSecret();
+      await db.query(
+        'UPDATE users SET totp_secret = $1, totp_enabled_at = NOW() WHERE id = $2',
+        [totp.encryptSecret(secret), user.id]
+      );
+      secrets.set(user.email, secret);
+    }
+  }
+
+  return secrets;
+};
+
+// Migrate and seed a fresh database, then serve the app on a random port.
+// Returns helpers for requests as JSON, direct queries and logging in as the
+// seeded users (completing 2FA for those enrolled).
+const startApp = async (env = {}) => {
+  const outboxDir = configureEnv(env);
+  const database = new PGlite();
+  require.cache[require.resolve('pg')] = {
+    id: 'pg',
+    loaded: true,
+    exports: { Pool: createPool(database) }
+  };
+
+  await require('../../scripts/migrate').createTables();
+  await require('../../scripts/seed').seedDatabase();
+  const db = require('../../config/database');
+  const totpSecrets = await enrollTwoFactor(db);
+
+  const app = require('../../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  const login = async (email, password) => {
+    let response = await request('POST', '/api/auth/login', { body: { email, password } });
+
+    if (response.body.data && response.body.data.requires_2fa) {
+      // Logins within one 30-second step would otherwise trip replay protection
+      await db.query('UPDATE users SET totp_last_used_step = NULL WHERE email = $1', [email]);
+      const totp = require('../../services/totp');
+      const code = totp.generateCode(totpSecrets.get(email), Math.floor(Date.now() / 30000));
+      response = await request('POST', '/api/auth/2fa/verify', {
+        body: { challenge_token: response.body.data.challenge_token, code }
+      });
+    }
+
+    return response.body.data.token;
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  };
+
+  return {
+    request,
+    login,
+    db,
+    outboxDir,
+    close
+  };
+};
+
+module.exports = { startApp };
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    TRUST_PROXY: 'loopback',
+    LOGIN_MAX_FAILED_ATTEMPTS: '5',
+    LOGIN_DELAY_AFTER_ATTEMPTS: '100',
+    LOGIN_IP_MAX_FAILED_ATTEMPTS: '8'
+  });
+});
+
+after(() => app.close());
+
+const failLogin = (email, ip) => app.request('POST', '/api/auth/login', {
+  body: { email, password: 'wrong-password-1' },
+  headers: { 'x-forwarded-for': ip }
+});
+
+// Status, message and whether a retry time was given for six failed logins
+const failSixTimes = async (email, ip) => {
+  const responses = [];
+  for (let i = 0; i < 6; i++) {
+    const response = await failLogin(email, ip);
+    responses.push([response.status, response.body.message, response.body.retry_after > 0]);
+  }
+  return responses;
+};
+
+test('unknown emails are locked exactly like existing accounts', async () => {
+  const known = await failSixTimes('student@elimufiti.com', '10.0.0.1');
+  const unknown = await failSixTimes('nobody@elimufiti.com', '10.0.0.2');
+
+  assert.equal(known[0][0], 401);
+  assert.equal(known[5][0], 423);
+  assert.deepEqual(unknown, known);
+});
+
+test('failures are counted per client IP behind a trusted proxy', async () => {
+  const result = await app.db.query(
+    "SELECT DISTINCT host(ip_address) as ip FROM login_attempts WHERE host(ip_address) IN ('10.0.0.1', '10.0.0.2')"
+  );
+
+  assert.equal(result.rows.length, 2);
+});
+
+test('admins can clear an IP lock', async () => {
+  const admin = await app.login('admin@elimufiti.com', 'admin123');
+
+  let response;
+  for (let i = 0; i < 9; i++) {
+    response = await failLogin(`user${i}@example.com`, '10.0.0.9');
+  }
+  assert.equal(response.status, 429);
+
+  response = await app.request('POST', '/api/users/lockouts/ip/unlock', { body: { ip_address: 'not-an-ip' }, token: admin });
+  assert.equal(response.status, 400);
+
+  response = await app.request('POST', '/api/users/lockouts/ip/unlock', { body: { ip_address: '10.0.0.9' }, token: admin });
+  assert.equal(response.status, 200);
+
+  response = await failLogin('someone@example.com', '10.0.0.9');
+  assert.equal(response.status, 401);
+
+  response = await app.request('POST', '/api/users/lockouts/ip/unlock', { body: { ip_address: '10.0.0.9' }, token: admin });
+  assert.equal(response.status, 404);
+});
+
+test('unlocking an account needs a valid user id', async () => {
+  const admin = await app.login('admin@elimufiti.com', 'admin123');
+
+  let response = await app.request('POST', '/api/users/not-a-uuid/unlock', { token: admin });
+  assert.equal(response.status, 400);
+
+  response = await app.request('POST', '/api/users/00000000-0000-4000-8000-000000000000/unlock', { token: admin });
+  assert.equal(response.status, 404);
+});
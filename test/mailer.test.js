@@ -0,0 +1,47 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkMailDriver } = require('../services/mailer');
+
+const MAIL_ENV = ['NODE_ENV', 'MAIL_DRIVER', 'SMTP_HOST', 'SMTP_PORT'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(MAIL_ENV.map((name) => [name, process.env[name]]));
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('production accepts the SMTP driver', () => {
+  Object.assign(process.env, {
+    NODE_ENV: 'production',
+    MAIL_DRIVER: 'smtp',
+    SMTP_HOST: 'smtp.example.com',
+    SMTP_PORT: '587'
+  });
+
+  assert.equal(typeof checkMailDriver(), 'function');
+});
+
+test('production refuses the development drivers', () => {
+  process.env.NODE_ENV = 'production';
+
+  for (const driver of ['console', 'outbox']) {
+    process.env.MAIL_DRIVER = driver;
+    assert.throws(() => checkMailDriver(), /can't be used in production/);
+  }
+});
+
+test('the SMTP driver needs a host', () => {
+  process.env.MAIL_DRIVER = 'smtp';
+  delete process.env.SMTP_HOST;
+
+  assert.throws(() => checkMailDriver(), /needs SMTP_HOST/);
+});
@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('changing the password revokes other access tokens and returns a new one', async () => {
+  const loginResponse = await app.request('POST', '/api/auth/login', {
+    body: { email: 'student@elimufiti.com', password: 'student123' }
+  });
+  const { token, refresh_token: refreshToken } = loginResponse.body.data;
+
+  // A token without a session, as issued before sessions existed
+  const user = (await app.db.query(
+    "SELECT id, token_version FROM users WHERE email = 'student@elimufiti.com'"
+  )).rows[0];
+  const legacyToken = jwt.sign(
+    { userId: user.id, tokenVersion: user.token_version },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+  assert.equal((await app.request('GET', '/api/users/profile', { token: legacyToken })).status, 200);
+
+  const response = await app.request('PUT', '/api/auth/password', {
+    body: { current_password: 'student123', new_password: 'N3w-Passw0rd!x' },
+    token
+  });
+  assert.equal(response.status, 200);
+
+  assert.equal((await app.request('GET', '/api/users/profile', { token: legacyToken })).status, 401);
+  assert.equal((await app.request('GET', '/api/users/profile', { token })).status, 401);
+  assert.equal((await app.request('GET', '/api/users/profile', { token: response.body.data.token })).status, 200);
+
+  // The session that changed the password stays signed in
+  const refreshed = await app.request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.equal((await app.request('GET', '/api/users/profile', { token: refreshed.body.data.token })).status, 200);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+  await app.db.query(`
+    UPDATE users SET phone_number = '254700000001', phone_verified_at = NOW()
+    WHERE email = 'student@elimufiti.com'
+  `);
+});
+
+after(() => app.close());
+
+const sentSms = () => {
+  const dir = path.join(app.outboxDir, 'sms');
+  return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+};
+
+// Status and message (without the masked number's last digits) of two
+// back-to-back code requests for `phoneNumber`
+const requestTwice = async (phoneNumber) => {
+  const responses = [];
+  for (let i = 0; i < 2; i++) {
+    const response = await app.request('POST', '/api/auth/phone/request-otp', { body: { phone_number: phoneNumber } });
+    responses.push([response.status, response.body.message.replace(/\d{3}$/, '')]);
+  }
+  return responses;
+};
+
+test('code requests look the same for linked and unlinked numbers', async () => {
+  const linked = await requestTwice('254700000001');
+  const unlinked = await requestTwice('254700000002');
+
+  assert.equal(linked[0][0], 200);
+  assert.equal(linked[1][0], 429);
+  assert.deepEqual(unlinked, linked);
+});
+
+test('only linked numbers are sent a code', () => {
+  assert.equal(sentSms(), 1);
+});
+
+test('codes for unlinked numbers never verify', async () => {
+  const response = await app.request('POST', '/api/auth/phone/verify-otp', {
+    body: { phone_number: '254700000002', code: '000000' }
+  });
+
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  // Repeated download counts exercise the id tiebreaker
+  await app.db.query(`
+    INSERT INTO resources (title, subject, grade, year, term, resource_type, download_count, status)
+    SELECT 'Listing test ' || i, 'mathematics', 'grade6', 2024, '2', 'notes', i % 4, 'active'
+    FROM generate_series(1, 25) i
+  `);
+});
+
+after(() => app.close());
+
+// Every page of a sort, following next_cursor
+const readAllPages = async (sort) => {
+  const rows = [];
+  let url = `/api/resources?grade=grade6&sort=${sort}&limit=7`;
+
+  for (;;) {
+    const response = await app.request('GET', url);
+    assert.equal(response.status, 200);
+    rows.push(...response.body.data.resources);
+
+    const { next_cursor: nextCursor } = response.body.data.pagination;
+    if (!nextCursor) {
+      return rows;
+    }
+    url = `/api/resources?grade=grade6&sort=${sort}&limit=7&cursor=${nextCursor}`;
+  }
+};
+
+test('cursor pages of most_downloaded cover every resource once, in order', async () => {
+  const rows = await readAllPages('most_downloaded');
+
+  assert.equal(rows.length, 25);
+  assert.equal(new Set(rows.map((row) => row.id)).size, 25);
+  for (let i = 1; i < rows.length; i++) {
+    const [previous, current] = [rows[i - 1], rows[i]];
+    assert.ok(
+      previous.download_count > current.download_count ||
+      (previous.download_count === current.download_count && previous.id > current.id)
+    );
+  }
+});
+
+test('tampered cursors are rejected', async () => {
+  const cursor = Buffer.from(JSON.stringify({ sort: 'most_downloaded', key: 'abc', id: 'not-a-uuid' })).toString('base64url');
+  const response = await app.request('GET', `/api/resources?sort=most_downloaded&cursor=${cursor}`);
+
+  assert.equal(response.status, 400);
+});
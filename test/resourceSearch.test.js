@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const staff = await app.login('staff@elimufiti.com', 'staff123');
+  const response = await app.request('POST', '/api/resources', {
+    body: {
+      school: 'Test school',
+      is_premium: false,
+      title: 'Fractions <img src=x onerror=alert(1)> & "Tom\'s" quiz',
+      description: 'Try <script>alert("fractions")</script> now & later',
+      subject: 'mathematics',
+      grade: 'grade5',
+      year: 2024,
+      term: '1',
+      resource_type: 'notes',
+      files: [{ name: 'quiz.pdf', url: 'https://example.com/quiz.pdf', size: 1, key: 'test/quiz.pdf', mime_type: 'application/pdf' }]
+    },
+    token: staff
+  });
+  assert.equal(response.status, 201);
+});
+
+after(() => app.close());
+
+test('search highlights escape HTML from titles and descriptions', async () => {
+  const response = await app.request('GET', '/api/resources?search=fractions%20quiz');
+  const [resource] = response.body.data.resources;
+
+  assert.equal(
+    resource.highlights.title,
+    '<mark>Fractions</mark> &lt;img src=x onerror=alert(1)&gt; &amp; &quot;Tom&#39;s&quot; <mark>quiz</mark>'
+  );
+  assert.ok(!resource.highlights.description.includes('<script>'));
+  assert.ok(resource.highlights.description.includes('&lt;script&gt;'));
+});
@@ -0,0 +1,22 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('plans list the public fields without internal entitlements', async () => {
+  const response = await app.request('GET', '/api/subscriptions/plans');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map((plan) => plan.id), ['free', 'basic', 'premium', 'institution']);
+  for (const plan of response.body.data) {
+    assert.equal(plan.entitlements, undefined);
+    assert.ok(plan.features.length > 0);
+  }
+});
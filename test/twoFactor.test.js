@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const totp = require('../services/totp');
+
+let app;
+let adminToken;
+let backupCodes;
+
+before(async () => {
+  app = await startApp();
+  // The helper enrolls the admin; start from an unenrolled one here
+  await app.db.query(
+    "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL WHERE email = 'admin@elimufiti.com'"
+  );
+});
+
+after(() => app.close());
+
+const currentCode = (secret) => totp.generateCode(secret, Math.floor(Date.now() / 30000));
+
+test('accounts without sensitive permissions log in as usual', async () => {
+  const response = await app.request('POST', '/api/auth/login', {
+    body: { email: 'staff@elimufiti.com', password: 'staff123' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.data.token);
+});
+
+test('unenrolled admins only get a setup token, which works for 2FA setup alone', async () => {
+  let response = await app.request('POST', '/api/auth/login', {
+    body: { email: 'admin@elimufiti.com', password: 'admin123' }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.requires_2fa_setup, true);
+  assert.equal(response.body.data.token, undefined);
+
+  const setupToken = response.body.data.setup_token;
+
+  response = await app.request('GET', '/api/users', { token: setupToken });
+  assert.equal(response.status, 401);
+
+  response = await app.request('GET', '/api/users/profile', { token: setupToken });
+  assert.equal(response.status, 401);
+
+  response = await app.request('POST', '/api/auth/2fa/setup', { token: setupToken });
+  assert.equal(response.status, 200);
+
+  response = await app.request('POST', '/api/auth/2fa/enable', {
+    body: { code: currentCode(response.body.data.secret) },
+    token: setupToken
+  });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.data.backup_codes.length > 0);
+  backupCodes = response.body.data.backup_codes;
+  adminToken = response.body.data.token;
+
+  response = await app.request('GET', '/api/users', { token: adminToken });
+  assert.equal(response.status, 200);
+});
+
+test('logging out everywhere revokes pending login challenges', async () => {
+  const login = () => app.request('POST', '/api/auth/login', {
+    body: { email: 'admin@elimufiti.com', password: 'admin123' }
+  });
+
+  let response = await login();
+  assert.equal(response.body.data.requires_2fa, true);
+  const staleChallenge = response.body.data.challenge_token;
+
+  response = await app.request('POST', '/api/auth/logout-all', { token: adminToken });
+  assert.equal(response.status, 200);
+
+  response = await app.request('POST', '/api/auth/2fa/verify', {
+    body: { challenge_token: staleChallenge, backup_code: backupCodes[0] }
+  });
+  assert.equal(response.status, 401);
+
+  response = await login();
+  response = await app.request('POST', '/api/auth/2fa/verify', {
+    body: { challenge_token: response.body.data.challenge_token, backup_code: backupCodes[0] }
+  });
+  assert.equal(response.status, 200);
+});
+
+test('2FA follows the permission, not the role name', async () => {
+  await app.db.query("INSERT INTO roles (name, description) VALUES ('registrar', 'Manages roles')");
+  await app.db.query("INSERT INTO role_permissions (role, permission) VALUES ('registrar', 'role.manage')");
+  await app.db.query("UPDATE users SET role = 'registrar' WHERE email = 'staff@elimufiti.com'");
+  require('../services/permissions').invalidatePermissionCache();
+
+  const response = await app.request('POST', '/api/auth/login', {
+    body: { email: 'staff@elimufiti.com', password: 'staff123' }
+  });
+
+  assert.equal(response.body.data.requires_2fa_setup, true);
+});